@@ -3,44 +3,113 @@ CONSTANTS
 */
 const INT = 'INT';
 const FLOAT = 'FLOAT';
+const STRING = 'STRING';
 const IDENTIFIER = 'IDENTIFIER';
 const KEYWORD = 'KEYWORD';
 const PLUS = 'PLUS';
 const MINUS = 'MINUS';
 const MUL = 'MUL';
 const DIV = 'DIV';
+const FLOORDIV = 'FLOORDIV';
+const MOD = 'MOD';
 const POW = 'POW';
+const BITAND = 'BITAND';
+const BITOR = 'BITOR';
+const BITNOT = 'BITNOT';
+const LSHIFT = 'LSHIFT';
+const RSHIFT = 'RSHIFT';
 const ASSIGN = 'ASSIGN';
+const PLUS_ASSIGN = 'PLUS_ASSIGN';
+const MINUS_ASSIGN = 'MINUS_ASSIGN';
+const MUL_ASSIGN = 'MUL_ASSIGN';
+const DIV_ASSIGN = 'DIV_ASSIGN';
+const POW_ASSIGN = 'POW_ASSIGN';
 const LPAREN = 'LPAREN';
 const RPAREN = 'RPAREN';
+const LSQUARE = 'LSQUARE';
+const RSQUARE = 'RSQUARE';
+const LBRACE = 'LBRACE';
+const RBRACE = 'RBRACE';
+const COLON = 'COLON';
 const EQ = 'EQ';
 const NE = 'NE';
 const LT = 'LT';
 const GT = 'GT';
 const LTE = 'LTE';
 const GTE = 'GTE';
+const COMMA = 'COMMA';
+const DOT = 'DOT';
+const ARROW = 'ARROW';
+const NEWLINE = 'NEWLINE';
 const EOF = 'EOF';
 
 const LETTERS = new Set(
     'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('')
 );
 const DIGITS = new Set('0123456789'.split(''));
-const WHITESPACE = new Set(' \t'.split(''));
+const RADIXES = new Map([
+    ['x', ['hexadecimal', new Set('0123456789abcdefABCDEF'.split(''))]],
+    ['o', ['octal', new Set('01234567'.split(''))]],
+    ['b', ['binary', new Set('01'.split(''))]],
+]);
+const WHITESPACE = new Set(' \t\r'.split(''));
+const ESCAPES = new Map([
+    ['n', '\n'],
+    ['t', '\t'],
+    ['"', '"'],
+    ['\\', '\\'],
+]);
+
+const ASSIGN_OPS = new Map([
+    [PLUS_ASSIGN, PLUS],
+    [MINUS_ASSIGN, MINUS],
+    [MUL_ASSIGN, MUL],
+    [DIV_ASSIGN, DIV],
+    [POW_ASSIGN, POW],
+]);
 
 const KEYWORDS = new Set([
     'VAR',
+    'CONST',
     'AND',
     'NOT',
     'OR',
+    'XOR',
     'IF',
     'DO',
     'ELIF',
     'ELSE',
     'FOR',
+    'IN',
     'UPTO',
     'STEP',
     'WHILE',
+    'FUN',
+    'END',
+    'RETURN',
+    'YIELD',
+    'CONTINUE',
+    'BREAK',
+    'TRY',
+    'CATCH',
+    'FINALLY',
+    'THROW',
+    'CLASS',
+    'EXTENDS',
+    'SELF',
+    'SUPER',
+    'IMPORT',
+    'AS',
+    'TRUE',
+    'FALSE',
+    'NULL',
 ]);
+const BLOCK_ENDS = new Set(['END', 'ELIF', 'ELSE', 'CATCH', 'FINALLY']);
+
+// Repetition refuses to build anything longer, well before JS engines run
+// out of room for a string or V8 refuses to grow an array.
+const MAX_STRING_REPEAT = 2 ** 28;
+const MAX_LIST_REPEAT = 2 ** 24;
 
 /*
 ERRORS
@@ -57,6 +126,10 @@ class Error {
         return `${this.name}: ${this.details}\n
         File ${this.start.fileName}, line ${this.start.ln + 1}`;
     }
+
+    traceback() {
+        return '';
+    }
 }
 
 class IllegalCharError extends Error {
@@ -171,7 +244,7 @@ class Token {
         }
 
         if (end !== null) {
-            this.end = end;
+            this.end = end.copy();
         }
     }
 
@@ -210,32 +283,76 @@ class Lexer {
         while (this.curr) {
             let flag = true;
             if (DIGITS.has(this.curr)) {
-                tokens.push(this.parseNumber());
+                let [token, error] = this.parseNumber();
+                if (error) return [[], error];
+                tokens.push(token);
                 flag = false;
             } else if (LETTERS.has(this.curr)) {
                 tokens.push(this.parseIdentifier());
                 flag = false;
-            } else if (this.curr === '+')
-                tokens.push(new Token(PLUS, null, this.pos));
-            else if (this.curr === '-')
-                tokens.push(new Token(MINUS, null, this.pos));
-            else if (this.curr === '*')
-                tokens.push(new Token(MUL, null, this.pos));
-            else if (this.curr === '/')
-                tokens.push(new Token(DIV, null, this.pos));
-            else if (this.curr === '^')
-                tokens.push(new Token(POW, null, this.pos));
+            } else if (this.curr === '"') {
+                let [token, error] = this.parseString();
+                if (error) return [[], error];
+                tokens.push(token);
+                flag = false;
+            } else if (this.curr === '+') {
+                tokens.push(this.parseAssignOp(PLUS, PLUS_ASSIGN));
+                flag = false;
+            } else if (this.curr === '-') {
+                tokens.push(this.parseMinus());
+                flag = false;
+            } else if (this.curr === '*') {
+                tokens.push(this.parseAssignOp(MUL, MUL_ASSIGN));
+                flag = false;
+            } else if (this.curr === '/') {
+                let [token, error] = this.parseSlash();
+                if (error) return [[], error];
+                if (token !== null) tokens.push(token);
+                flag = false;
+            } else if (this.curr === '#') {
+                this.skipLineComment();
+                flag = false;
+            } else if (this.curr === '%')
+                tokens.push(new Token(MOD, null, this.pos));
+            else if (this.curr === '^') {
+                tokens.push(this.parseAssignOp(POW, POW_ASSIGN));
+                flag = false;
+            } else if (this.curr === '&')
+                tokens.push(new Token(BITAND, null, this.pos));
+            else if (this.curr === '|')
+                tokens.push(new Token(BITOR, null, this.pos));
+            else if (this.curr === '~')
+                tokens.push(new Token(BITNOT, null, this.pos));
             else if (this.curr === '!') {
                 let [token, error] = this.parseNE();
                 if (error) return [[], error];
                 tokens.push(token);
-            } else if (this.curr === '=') tokens.push(this.parseEQ());
-            else if (this.curr === '>' || this.curr === '<')
+            } else if (this.curr === '=') {
+                tokens.push(this.parseEQ());
+                flag = false;
+            } else if (this.curr === '>' || this.curr === '<') {
                 tokens.push(this.parseComp());
-            else if (this.curr === '(')
+                flag = false;
+            } else if (this.curr === '(')
                 tokens.push(new Token(LPAREN, null, this.pos));
             else if (this.curr === ')')
                 tokens.push(new Token(RPAREN, null, this.pos));
+            else if (this.curr === '[')
+                tokens.push(new Token(LSQUARE, null, this.pos));
+            else if (this.curr === ']')
+                tokens.push(new Token(RSQUARE, null, this.pos));
+            else if (this.curr === '{')
+                tokens.push(new Token(LBRACE, null, this.pos));
+            else if (this.curr === '}')
+                tokens.push(new Token(RBRACE, null, this.pos));
+            else if (this.curr === ':')
+                tokens.push(new Token(COLON, null, this.pos));
+            else if (this.curr === '\n' || this.curr === ';')
+                tokens.push(new Token(NEWLINE, null, this.pos));
+            else if (this.curr === ',')
+                tokens.push(new Token(COMMA, null, this.pos));
+            else if (this.curr === '.')
+                tokens.push(new Token(DOT, null, this.pos));
             else if (!WHITESPACE.has(this.curr)) {
                 let [c, start] = [this.curr, this.pos.copy()];
                 this.step();
@@ -253,17 +370,87 @@ class Lexer {
         const start = this.pos.copy();
         let type = this.curr;
         this.step();
-        if (this.curr === '=')
-            return new Token(type === '>' ? GTE : LTE, start, this.pos);
-        return new Token(type === '>' ? GT : LT, start, this.pos);
+        if (this.curr === '=') {
+            this.step();
+            return new Token(type === '>' ? GTE : LTE, null, start, this.pos);
+        }
+        if (this.curr === type) {
+            this.step();
+            return new Token(
+                type === '>' ? RSHIFT : LSHIFT,
+                null,
+                start,
+                this.pos
+            );
+        }
+        return new Token(type === '>' ? GT : LT, null, start);
     }
 
     parseEQ() {
         const start = this.pos.copy();
         this.step();
 
-        if (this.curr === '=') return new Token(EQ, start, this.pos);
-        return new Token(ASSIGN, start, this.pos);
+        if (this.curr !== '=') return new Token(ASSIGN, null, start);
+        this.step();
+        return new Token(EQ, null, start, this.pos);
+    }
+
+    skipLineComment() {
+        while (this.curr !== null && this.curr !== '\n') this.step();
+    }
+
+    parseSlash() {
+        const start = this.pos.copy();
+        this.step();
+
+        if (this.curr === '/') {
+            this.step();
+            return [new Token(FLOORDIV, null, start, this.pos), null];
+        }
+
+        if (this.curr === '=') {
+            this.step();
+            return [new Token(DIV_ASSIGN, null, start, this.pos), null];
+        }
+
+        if (this.curr !== '*') return [new Token(DIV, null, start), null];
+        this.step();
+
+        while (this.curr !== null) {
+            if (this.curr === '*') {
+                this.step();
+                if (this.curr === '/') {
+                    this.step();
+                    return [null, null];
+                }
+            } else this.step();
+        }
+
+        const end = start.copy().step().step();
+        return [null, new ExpectedCharError(start, end, "'*/'")];
+    }
+
+    parseMinus() {
+        const start = this.pos.copy();
+        this.step();
+
+        if (this.curr === '=') {
+            this.step();
+            return new Token(MINUS_ASSIGN, null, start, this.pos);
+        }
+
+        if (this.curr !== '>') return new Token(MINUS, null, start);
+        this.step();
+        return new Token(ARROW, null, start, this.pos.copy());
+    }
+
+    parseAssignOp(type, assignType) {
+        const start = this.pos.copy();
+        this.step();
+
+        if (this.curr !== '=') return new Token(type, null, start);
+        this.step();
+        return new Token(assignType, null, start, this.pos);
     }
 
     parseNE() {
@@ -273,6 +460,29 @@ class Lexer {
         return [null, new ExpectedCharError(start, this.pos, "'='")];
     }
 
+    parseString() {
+        let [str, start] = [[], this.pos.copy()];
+        let escaped = false;
+        this.step();
+
+        while (this.curr !== null && (this.curr !== '"' || escaped)) {
+            if (escaped) {
+                str.push(
+                    ESCAPES.has(this.curr) ? ESCAPES.get(this.curr) : this.curr
+                );
+                escaped = false;
+            } else if (this.curr === '\\') escaped = true;
+            else str.push(this.curr);
+            this.step();
+        }
+
+        if (this.curr === null)
+            return [null, new ExpectedCharError(start, this.pos.copy(), `'"'`)];
+
+        this.step();
+        return [new Token(STRING, str.join(''), start, this.pos), null];
+    }
+
     parseIdentifier() {
         let [strID, start] = [[], this.pos.copy()];
 
@@ -291,18 +501,101 @@ class Lexer {
     }
 
     parseNumber() {
-        let [num, dot] = [[], 0];
-        let start = this.pos.copy();
+        const start = this.pos.copy();
+        let prefix = this.text[this.pos.idx + 1];
+
+        if (this.curr === '0' && RADIXES.has(prefix?.toLowerCase())) {
+            const [name, valid] = RADIXES.get(prefix.toLowerCase());
+            this.step();
+            this.step();
+
+            let [digits, error] = this.parseDigits(
+                valid,
+                `${name} digit after '0${prefix}'`
+            );
+            if (error) return [null, error];
+            error = this.checkNumberEnd(`${name} literal`);
+            if (error) return [null, error];
+
+            const value = toInt(BigInt(`0${prefix.toLowerCase()}${digits}`));
+            return [new Token(INT, value, start, this.pos), null];
+        }
+
+        let [num, error] = this.parseDigits(DIGITS, 'digit');
+        if (error) return [null, error];
+        let type = INT;
+
+        if (this.curr === '.' && DIGITS.has(this.text[this.pos.idx + 1])) {
+            this.step();
+            let [fraction, error] = this.parseDigits(DIGITS, "digit after '.'");
+            if (error) return [null, error];
+            [num, type] = [`${num}.${fraction}`, FLOAT];
+        } else if (this.curr === '.') {
+            this.step();
+            [num, type] = [`${num}.`, FLOAT];
+        }
+
+        if (this.curr === 'e' || this.curr === 'E') {
+            let exponent = this.curr;
+            this.step();
+            if (this.curr === '+' || this.curr === '-') {
+                exponent += this.curr;
+                this.step();
+            }
+
+            let [digits, error] = this.parseDigits(
+                DIGITS,
+                `digit after '${exponent}'`
+            );
+            if (error) return [null, error];
+            [num, type] = [`${num}e${exponent.slice(1)}${digits}`, FLOAT];
+        }
+
+        error = this.checkNumberEnd('number literal');
+        if (error) return [null, error];
+
+        if (type === INT)
+            return [new Token(INT, toInt(BigInt(num)), start, this.pos), null];
+        return [new Token(FLOAT, parseFloat(num), start, this.pos), null];
+    }
+
+    parseDigits(valid, expected) {
+        let digits = [];
 
-        while (this.curr && (this.curr === '.' || DIGITS.has(this.curr))) {
-            if (this.curr === '.' && dot++) break;
-            num.push(this.curr);
+        while (true) {
+            if (!valid.has(this.curr)) {
+                const end = this.pos.copy().step();
+                return [
+                    null,
+                    new ExpectedCharError(this.pos.copy(), end, expected),
+                ];
+            }
+
+            while (valid.has(this.curr)) {
+                digits.push(this.curr);
+                this.step();
+            }
+
+            if (this.curr !== '_') return [digits.join(''), null];
             this.step();
+            expected = "digit after '_'";
         }
+    }
+
+    checkNumberEnd(kind) {
+        if (
+            this.curr === null ||
+            !(
+                LETTERS.has(this.curr) ||
+                DIGITS.has(this.curr) ||
+                this.curr === '_'
+            )
+        )
+            return null;
 
-        if (!dot)
-            return new Token(INT, parseInt(num.join(''), 10), start, this.pos);
-        return new Token(FLOAT, parseFloat(num.join('')), start, this.pos);
+        const start = this.pos.copy();
+        const end = this.pos.copy().step();
+        return new IllegalCharError(start, end, `'${this.curr}' in ${kind}`);
     }
 }
 
@@ -321,6 +614,69 @@ class NumberNode {
     }
 }
 
+class StringNode {
+    constructor(token) {
+        this.token = token;
+        this.start = this.token.start;
+        this.end = this.token.end;
+    }
+
+    toString() {
+        return `${this.token}`;
+    }
+}
+
+class ListNode {
+    constructor(elementNodes, start, end) {
+        this.elementNodes = elementNodes;
+        this.start = start;
+        this.end = end;
+    }
+}
+
+// Each clause is [varName, iterable, conditions] for one FOR ... IN ... and
+// the IF conditions that follow it; later clauses nest inside earlier ones.
+class ListCompNode {
+    constructor(elementNode, clauses, start, end) {
+        this.elementNode = elementNode;
+        this.clauses = clauses;
+        this.start = start;
+        this.end = end;
+    }
+}
+
+class DictNode {
+    constructor(entryNodes, start, end) {
+        this.entryNodes = entryNodes;
+        this.start = start;
+        this.end = end;
+    }
+}
+
+class BooleanNode {
+    constructor(token) {
+        this.token = token;
+        this.start = this.token.start;
+        this.end = this.token.end;
+    }
+
+    toString() {
+        return `${this.token}`;
+    }
+}
+
+class NullNode {
+    constructor(token) {
+        this.token = token;
+        this.start = this.token.start;
+        this.end = this.token.end;
+    }
+
+    toString() {
+        return `${this.token}`;
+    }
+}
+
 class IfStatementNode {
     constructor(cases, elseCase) {
         this.cases = cases;
@@ -342,6 +698,16 @@ class VariableNode {
 }
 
 class VariableAssignNode {
+    constructor(tokenID, value, isConst = false) {
+        this.tokenID = tokenID;
+        this.value = value;
+        this.isConst = isConst;
+        this.start = this.tokenID.start;
+        this.end = this.value.end;
+    }
+}
+
+class VariableReassignNode {
     constructor(tokenID, value) {
         this.tokenID = tokenID;
         this.value = value;
@@ -364,6 +730,37 @@ class BinaryOpNode {
     }
 }
 
+class CompareNode {
+    constructor(operands, ops) {
+        this.operands = operands;
+        this.ops = ops;
+        this.start = this.operands[0].start;
+        this.end = this.operands[this.operands.length - 1].end;
+    }
+
+    toString() {
+        let parts = [`${this.operands[0]}`];
+        this.ops.forEach((op, i) =>
+            parts.push(`${op}`, `${this.operands[i + 1]}`)
+        );
+        return `(${parts.join(', ')})`;
+    }
+}
+
+class LogicalOpNode {
+    constructor(left, operator, right) {
+        this.left = left;
+        this.op = operator;
+        this.right = right;
+        this.start = this.left.start;
+        this.end = this.right.end;
+    }
+
+    toString() {
+        return `(${this.left}, ${this.op}, ${this.right})`;
+    }
+}
+
 class UnaryOpNode {
     constructor(op, node) {
         this.op = op;
@@ -389,79 +786,275 @@ class ForNode {
     }
 }
 
+class ForInNode {
+    constructor(varName, iterable, body) {
+        this.varName = varName;
+        this.iterable = iterable;
+        this.body = body;
+        this.start = this.varName.start;
+        this.end = this.body.end;
+    }
+}
+
 class WhileNode {
     constructor(condition, body) {
-        this.conditon = condition;
+        this.condition = condition;
         this.body = body;
-        this.start = this.conditon.start;
+        this.start = this.condition.start;
         this.end = this.body.end;
     }
 }
 
-/*
-PARSE RESULT
-*/
-class ParseResult {
-    constructor() {
-        this.error = null;
-        this.node = null;
-        this.stepCount = 0;
+class IndexNode {
+    constructor(node, index, end) {
+        this.node = node;
+        this.index = index;
+        this.start = this.node.start;
+        this.end = end;
     }
+}
 
-    registerStep(res) {
-        this.stepCount++;
+class SliceNode {
+    constructor(lower, upper, step, start, end) {
+        this.lower = lower;
+        this.upper = upper;
+        this.step = step;
+        this.start = start;
+        this.end = end;
     }
+}
 
-    register(res) {
-        this.stepCount += res.stepCount;
-        if (res.error !== null) this.error = res.error;
-        return res.node;
+class IndexAssignNode {
+    constructor(node, index, value, op = null) {
+        this.node = node;
+        this.index = index;
+        this.value = value;
+        this.op = op;
+        this.start = this.node.start;
+        this.end = this.value.end;
     }
+}
 
-    success(node) {
+class AttrNode {
+    constructor(node, name) {
         this.node = node;
-        return this;
+        this.name = name;
+        this.start = this.node.start;
+        this.end = this.name.end;
     }
+}
 
-    failure(error) {
-        if (this.error === null || this.stepCount === 0) this.error = error;
-        return this;
+class AttrAssignNode {
+    constructor(node, name, value, op = null) {
+        this.node = node;
+        this.name = name;
+        this.value = value;
+        this.op = op;
+        this.start = this.node.start;
+        this.end = this.value.end;
     }
 }
 
-/*
-PARSER
-*/
-class Parser {
-    constructor(tokens) {
-        this.tokens = tokens;
-        this.curr = null;
-        this.idx = -1;
-        this.step();
+class FuncDefNode {
+    constructor(varName, argNames, body, shouldAutoReturn, isGenerator) {
+        this.varName = varName;
+        this.argNames = argNames;
+        this.body = body;
+        this.shouldAutoReturn = shouldAutoReturn;
+        this.isGenerator = isGenerator;
+        this.start =
+            this.varName !== null
+                ? this.varName.start
+                : this.argNames.length > 0
+                ? this.argNames[0].start
+                : this.body.start;
+        this.end = this.body.end;
     }
+}
 
-    step() {
-        this.idx++;
-        if (this.idx < this.tokens.length) this.curr = this.tokens[this.idx];
-        return this.curr;
+class ClassDefNode {
+    constructor(name, fieldNames, parentNode, methods, start, end) {
+        this.name = name;
+        this.fieldNames = fieldNames;
+        this.parentNode = parentNode;
+        this.methods = methods;
+        this.start = start;
+        this.end = end;
     }
+}
 
-    parse() {
-        let result = this.expr();
-        if (result.error === null && this.curr.type !== EOF)
-            return result.failure(
-                new InvalidSyntaxError(
-                    this.curr.start,
-                    this.curr.end,
-                    "'Expected '+', '-', '*' or '/'"
+class ReturnNode {
+    constructor(nodeToReturn, start, end) {
+        this.nodeToReturn = nodeToReturn;
+        this.start = start;
+        this.end = end;
+    }
+}
+
+class YieldNode {
+    constructor(nodeToYield, start, end) {
+        this.nodeToYield = nodeToYield;
+        this.start = start;
+        this.end = end;
+    }
+}
+
+class ThrowNode {
+    constructor(nodeToThrow, start, end) {
+        this.nodeToThrow = nodeToThrow;
+        this.start = start;
+        this.end = end;
+    }
+}
+
+class TryNode {
+    constructor(body, errorName, catchBody, finallyBody, start, end) {
+        this.body = body;
+        this.errorName = errorName;
+        this.catchBody = catchBody;
+        this.finallyBody = finallyBody;
+        this.start = start;
+        this.end = end;
+    }
+}
+
+class ImportNode {
+    constructor(path, alias, start, end) {
+        this.path = path;
+        this.alias = alias;
+        this.start = start;
+        this.end = end;
+    }
+}
+
+class ContinueNode {
+    constructor(start, end) {
+        this.start = start;
+        this.end = end;
+    }
+}
+
+class BreakNode {
+    constructor(start, end) {
+        this.start = start;
+        this.end = end;
+    }
+}
+
+class CallNode {
+    constructor(nodeToCall, argNodes) {
+        this.nodeToCall = nodeToCall;
+        this.argNodes = argNodes;
+        this.start = this.nodeToCall.start;
+        this.end =
+            this.argNodes.length > 0
+                ? this.argNodes[this.argNodes.length - 1].end
+                : this.nodeToCall.end;
+    }
+}
+
+/*
+PARSE RESULT
+*/
+class ParseResult {
+    constructor() {
+        this.error = null;
+        this.node = null;
+        this.stepCount = 0;
+    }
+
+    registerStep(res) {
+        this.stepCount++;
+    }
+
+    register(res) {
+        this.stepCount += res.stepCount;
+        if (res.error !== null) this.error = res.error;
+        return res.node;
+    }
+
+    success(node) {
+        this.node = node;
+        return this;
+    }
+
+    failure(error) {
+        if (this.error === null || this.stepCount === 0) this.error = error;
+        return this;
+    }
+}
+
+/*
+PARSER
+*/
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.curr = null;
+        this.idx = -1;
+        this.loopDepth = 0;
+        this.funcDepth = 0;
+        this.classDepth = 0;
+        this.hasYield = false;
+        this.step();
+    }
+
+    step() {
+        this.idx++;
+        if (this.idx < this.tokens.length) this.curr = this.tokens[this.idx];
+        return this.curr;
+    }
+
+    parse() {
+        let result = this.statements();
+        if (result.error === null && this.curr.type !== EOF)
+            return result.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected '+', '-', '*', '/', '^', newline or ';'"
                 )
             );
         return result;
     }
 
+    atBlockEnd() {
+        return (
+            this.curr.type === EOF ||
+            (this.curr.type === KEYWORD && BLOCK_ENDS.has(this.curr.value))
+        );
+    }
+
+    statements() {
+        const res = new ParseResult();
+        const start = this.curr.start.copy();
+        let statements = [];
+
+        while (this.curr.type === NEWLINE) {
+            res.registerStep();
+            this.step();
+        }
+
+        while (!this.atBlockEnd()) {
+            const statement = res.register(this.statement());
+            if (res.error !== null) return res;
+            statements.push(statement);
+
+            if (this.curr.type !== NEWLINE) break;
+            while (this.curr.type === NEWLINE) {
+                res.registerStep();
+                this.step();
+            }
+        }
+
+        return res.success(
+            new ListNode(statements, start, this.curr.start.copy())
+        );
+    }
+
     power() {
         const res = new ParseResult();
-        let left = res.register(this.atom());
+        let left = res.register(this.call());
         if (res.error !== null) return res;
 
         while (this.curr.type === POW) {
@@ -476,819 +1069,4479 @@ class Parser {
         return res.success(left);
     }
 
-    ifExpr() {
+    statement() {
         const res = new ParseResult();
-        let [cases, elseCase] = [[], null];
+        const start = this.curr.start.copy();
 
-        if (!this.curr.equals(new Token(KEYWORD, 'IF'))) {
-            return res.failure(
-                new InvalidSyntaxError(
-                    this.curr.start,
-                    this.curr.end,
-                    "Expected 'IF'"
-                )
-            );
-        }
+        if (this.curr.equals(new Token(KEYWORD, 'RETURN'))) {
+            if (this.funcDepth === 0)
+                return res.failure(
+                    new InvalidSyntaxError(
+                        this.curr.start,
+                        this.curr.end,
+                        "'RETURN' outside function"
+                    )
+                );
 
-        res.registerStep();
-        this.step();
+            res.registerStep();
+            this.step();
 
-        let condition = res.register(this.expr());
-        if (res.error !== null) return res;
+            let expr = null;
+            if (this.curr.type !== NEWLINE && !this.atBlockEnd()) {
+                expr = res.register(this.expr());
+                if (res.error !== null) return res;
+            }
 
-        if (!this.curr.equals(new Token(KEYWORD, 'DO')))
-            return res.failure(
-                new InvalidSyntaxError(
-                    this.curr.start,
-                    this.curr.end,
-                    "Expected 'DO'"
-                )
+            return res.success(
+                new ReturnNode(expr, start, this.curr.start.copy())
             );
+        }
 
-        res.registerStep();
-        this.step();
-
-        let expr = res.register(this.expr());
-        if (res.error !== null) return res;
-        cases.push([condition, expr]);
+        if (this.curr.equals(new Token(KEYWORD, 'YIELD'))) {
+            if (this.funcDepth === 0)
+                return res.failure(
+                    new InvalidSyntaxError(
+                        this.curr.start,
+                        this.curr.end,
+                        "'YIELD' outside function"
+                    )
+                );
 
-        while (this.curr.equals(new Token(KEYWORD, 'ELIF'))) {
             res.registerStep();
             this.step();
+            this.hasYield = true;
 
-            let condition = res.register(this.expr());
-            if (res.error !== null) return res;
+            let expr = null;
+            if (this.curr.type !== NEWLINE && !this.atBlockEnd()) {
+                expr = res.register(this.expr());
+                if (res.error !== null) return res;
+            }
+
+            return res.success(
+                new YieldNode(expr, start, this.curr.start.copy())
+            );
+        }
+
+        if (this.curr.equals(new Token(KEYWORD, 'IMPORT'))) {
+            res.registerStep();
+            this.step();
 
-            if (!this.curr.equals(KEYWORD, 'DO'))
+            if (this.curr.type !== STRING)
                 return res.failure(
                     new InvalidSyntaxError(
                         this.curr.start,
                         this.curr.end,
-                        "Expected 'THEN'"
+                        'Expected string'
                     )
                 );
 
+            const path = this.curr;
             res.registerStep();
             this.step();
 
-            let expr = res.register(this.expr());
-            if (res.error !== null) return res;
-            cases.append([condition, expr]);
+            let alias = null;
+            if (this.curr.equals(new Token(KEYWORD, 'AS'))) {
+                res.registerStep();
+                this.step();
+
+                if (this.curr.type !== IDENTIFIER)
+                    return res.failure(
+                        new InvalidSyntaxError(
+                            this.curr.start,
+                            this.curr.end,
+                            'Expected identifier'
+                        )
+                    );
+
+                alias = this.curr;
+                res.registerStep();
+                this.step();
+            }
+
+            const end = (alias ?? path).end;
+            return res.success(new ImportNode(path, alias, start, end));
         }
 
-        if (this.curr.equals(new Token(KEYWORD, 'ELSE'))) {
+        if (this.curr.equals(new Token(KEYWORD, 'THROW'))) {
             res.registerStep();
             this.step();
 
-            elseCase = res.register(this.expr());
+            const expr = res.register(this.expr());
             if (res.error !== null) return res;
+            return res.success(new ThrowNode(expr, start, expr.end));
         }
 
-        return res.success(new IfStatementNode(cases, elseCase));
+        if (
+            this.curr.equals(new Token(KEYWORD, 'CONTINUE')) ||
+            this.curr.equals(new Token(KEYWORD, 'BREAK'))
+        ) {
+            const keyword = this.curr.value;
+            if (this.loopDepth === 0)
+                return res.failure(
+                    new InvalidSyntaxError(
+                        this.curr.start,
+                        this.curr.end,
+                        `'${keyword}' outside loop`
+                    )
+                );
+
+            res.registerStep();
+            this.step();
+
+            const end = this.curr.start.copy();
+            return res.success(
+                keyword === 'BREAK'
+                    ? new BreakNode(start, end)
+                    : new ContinueNode(start, end)
+            );
+        }
+
+        return this.expr();
     }
 
-    forExpr() {
+    call() {
         const res = new ParseResult();
+        let node = res.register(this.atom());
+        if (res.error !== null) return res;
 
-        if (!this.curr.equals(new Token(KEYWORD, 'FOR')))
-            return res.failure(
-                new InvalidSyntaxError(
-                    this.curr.start,
-                    this.curr.end,
-                    "Expected 'FOR'"
-                )
+        while (
+            this.curr.type === LPAREN ||
+            this.curr.type === LSQUARE ||
+            this.curr.type === DOT
+        ) {
+            node = res.register(
+                this.curr.type === LPAREN
+                    ? this.callArgs(node)
+                    : this.curr.type === LSQUARE
+                    ? this.subscript(node)
+                    : this.attribute(node)
             );
+            if (res.error !== null) return res;
+        }
 
+        return res.success(node);
+    }
+
+    callArgs(atom) {
+        const res = new ParseResult();
         res.registerStep();
         this.step();
+        let argNodes = [];
 
-        if (this.curr.type !== IDENTIFIER)
+        if (this.curr.type === RPAREN) {
+            res.registerStep();
+            this.step();
+            return res.success(new CallNode(atom, argNodes));
+        }
+
+        argNodes.push(res.register(this.expr()));
+        if (res.error !== null)
             return res.failure(
                 new InvalidSyntaxError(
                     this.curr.start,
                     this.curr.end,
-                    'Expected identifier'
+                    "Expected ')', 'VAR', 'IF', 'FOR', 'WHILE', 'FUN', int, float, identifier, '+', '-', '(' or 'NOT'"
                 )
             );
 
-        const varName = this.curr;
-        res.registerStep();
-        this.step();
+        while (this.curr.type === COMMA) {
+            res.registerStep();
+            this.step();
 
-        if (this.curr.type !== ASSIGN)
+            argNodes.push(res.register(this.expr()));
+            if (res.error !== null) return res;
+        }
+
+        if (this.curr.type !== RPAREN)
             return res.failure(
                 new InvalidSyntaxError(
                     this.curr.start,
                     this.curr.end,
-                    "Expected '='"
+                    "Expected ',' or ')'"
                 )
             );
 
         res.registerStep();
         this.step();
+        return res.success(new CallNode(atom, argNodes));
+    }
 
-        const startVal = res.register(this.expr());
-        if (res.error !== null) return res;
-
-        if (!this.curr.equals(new Token(KEYWORD, 'UPTO')))
-            return res.failure(
-                new InvalidSyntaxError(
-                    this.curr.start,
-                    this.curr.end,
-                    "Expected 'UPTO'"
-                )
-            );
-
+    subscript(node) {
+        const res = new ParseResult();
         res.registerStep();
         this.step();
 
-        const endVal = res.register(this.expr());
-        let stepVal = null;
-        if (res.error !== null) return res;
+        const start = this.curr.start;
+        let index = null;
 
-        if (this.curr.equals(new Token(KEYWORD, 'STEP'))) {
-            res.registerStep();
-            this.step();
+        if (this.curr.type !== COLON) {
+            index = res.register(this.expr());
+            if (res.error !== null) return res;
+        }
 
-            stepVal = res.register(this.expr());
+        if (this.curr.type === COLON) {
+            index = res.register(this.slice(index, start));
             if (res.error !== null) return res;
         }
 
-        if (!this.curr.equals(new Token(KEYWORD, 'DO')))
+        if (this.curr.type !== RSQUARE)
             return res.failure(
                 new InvalidSyntaxError(
                     this.curr.start,
                     this.curr.end,
-                    "Expected 'DO'"
+                    "Expected ']'"
                 )
             );
 
+        const end = this.curr.end;
         res.registerStep();
         this.step();
-
-        const body = res.register(this.expr());
-        if (res.error !== null) return res;
-
-        return res.success(
-            new ForNode(varName, startVal, endVal, stepVal, body)
-        );
+        return res.success(new IndexNode(node, index, end));
     }
 
-    whileExpr() {
+    slice(lower, start) {
         const res = new ParseResult();
+        let bounds = [lower];
 
-        if (!this.curr.equals(new Token(KEYWORD, 'WHILE')))
-            return res.failure(
+        while (this.curr.type === COLON && bounds.length < 3) {
+            res.registerStep();
+            this.step();
+
+            let bound = null;
+            if (this.curr.type !== COLON && this.curr.type !== RSQUARE) {
+                bound = res.register(this.expr());
+                if (res.error !== null) return res;
+            }
+            bounds.push(bound);
+        }
+
+        const [upper, step = null] = bounds.slice(1);
+        return res.success(
+            new SliceNode(lower, upper, step, start, this.curr.start)
+        );
+    }
+
+    attribute(node) {
+        const res = new ParseResult();
+        res.registerStep();
+        this.step();
+
+        if (this.curr.type !== IDENTIFIER)
+            return res.failure(
                 new InvalidSyntaxError(
                     this.curr.start,
                     this.curr.end,
-                    "Expected 'WHILE'"
+                    'Expected identifier'
                 )
             );
 
+        const name = this.curr;
         res.registerStep();
         this.step();
+        return res.success(new AttrNode(node, name));
+    }
 
-        const cond = res.register(this.expr());
-        if (res.error !== null) return res;
+    listExpr() {
+        const res = new ParseResult();
+        const start = this.curr.start;
+        let elementNodes = [];
 
-        if (!this.curr.equals(new Token(KEYWORD, 'DO')))
+        if (this.curr.type !== LSQUARE)
             return res.failure(
                 new InvalidSyntaxError(
                     this.curr.start,
                     this.curr.end,
-                    "Expected 'DO'"
+                    "Expected '['"
                 )
             );
 
         res.registerStep();
         this.step();
 
-        const body = res.register(this.expr());
-        if (res.error !== null) return res;
-
-        return res.success(new WhileNode(cond, body));
-    }
+        if (this.curr.type !== RSQUARE) {
+            elementNodes.push(res.register(this.expr()));
+            if (res.error !== null) return res;
 
-    atom() {
-        const res = new ParseResult();
-        const currToken = this.curr;
+            if (this.curr.equals(new Token(KEYWORD, 'FOR')))
+                return this.listComp(elementNodes[0], start);
 
-        if (currToken.type === INT || currToken.type === FLOAT) {
-            res.registerStep();
-            this.step();
-            return res.success(new NumberNode(currToken));
-        } else if (currToken.type === IDENTIFIER) {
-            res.registerStep();
-            this.step();
-            return res.success(new VariableNode(currToken));
-        } else if (currToken.type === LPAREN) {
-            res.registerStep();
-            this.step();
-            let expr = res.register(this.expr());
-            if (res.error !== null) return res;
-            if (this.curr.type === RPAREN) {
+            while (this.curr.type === COMMA) {
                 res.registerStep();
                 this.step();
-                return res.success(expr);
-            } else {
+
+                elementNodes.push(res.register(this.expr()));
+                if (res.error !== null) return res;
+            }
+
+            if (this.curr.type !== RSQUARE)
                 return res.failure(
                     new InvalidSyntaxError(
                         this.curr.start,
                         this.curr.end,
-                        "Expected ')'"
+                        "Expected ',' or ']'"
                     )
                 );
-            }
-        } else if (currToken.equals(new Token(KEYWORD, 'IF'))) {
-            let ifExpr = res.register(this.ifExpr());
-            if (res.error !== null) return res;
-            return res.success(ifExpr);
-        } else if (currToken.equals(new Token(KEYWORD, 'FOR'))) {
-            let forExpr = res.register(this.forExpr());
-            if (res.error !== null) return res;
-            return res.success(forExpr);
-        } else if (currToken.equals(new Token(KEYWORD, 'WHILE'))) {
-            let whileExpr = res.register(this.whileExpr());
-            if (res.error !== null) return res;
-            return res.success(whileExpr);
         }
 
-        return res.failure(
-            new InvalidSyntaxError(
-                currToken.start,
-                currToken.end,
-                "Expected int, float, identifier, '+', '-' or '('"
-            )
-        );
+        const end = this.curr.end;
+        res.registerStep();
+        this.step();
+        return res.success(new ListNode(elementNodes, start, end));
     }
 
-    term() {
+    listComp(elementNode, start) {
         const res = new ParseResult();
-        let left = res.register(this.factor());
-        if (res.error !== null) return res;
+        let clauses = [];
 
-        while (this.curr.type === MUL || this.curr.type === DIV) {
-            let op = this.curr;
+        while (this.curr.equals(new Token(KEYWORD, 'FOR'))) {
             res.registerStep();
             this.step();
-            let right = res.register(this.factor());
-            if (res.error !== null) return res;
-            left = new BinaryOpNode(left, op, right);
-        }
-
-        return res.success(left);
-    }
 
-    arithExpr() {
-        const res = new ParseResult();
-        let left = res.register(this.term());
-        if (res.error !== null) return res;
+            if (this.curr.type !== IDENTIFIER)
+                return res.failure(
+                    new InvalidSyntaxError(
+                        this.curr.start,
+                        this.curr.end,
+                        'Expected identifier'
+                    )
+                );
 
-        const targets = new Set([PLUS, MINUS]);
-        while (targets.has(this.curr.type)) {
-            let opToken = this.curr;
+            const varName = this.curr;
             res.registerStep();
             this.step();
-            let right = res.register(this.term());
-            if (res.error !== null)
+
+            if (!this.curr.equals(new Token(KEYWORD, 'IN')))
                 return res.failure(
                     new InvalidSyntaxError(
                         this.curr.start,
                         this.curr.end,
-                        "Expected int, float, identifier, '+', '-', or '(', 'NOT'"
+                        "Expected 'IN'"
                     )
                 );
-            left = new BinaryOpNode(left, opToken, right);
+
+            res.registerStep();
+            this.step();
+
+            const iterable = res.register(this.expr());
+            if (res.error !== null) return res;
+
+            let conditions = [];
+            while (this.curr.equals(new Token(KEYWORD, 'IF'))) {
+                res.registerStep();
+                this.step();
+
+                conditions.push(res.register(this.expr()));
+                if (res.error !== null) return res;
+            }
+
+            clauses.push([varName, iterable, conditions]);
         }
 
-        return res.success(left);
+        if (this.curr.type !== RSQUARE)
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected 'FOR', 'IF' or ']'"
+                )
+            );
+
+        const end = this.curr.end;
+        res.registerStep();
+        this.step();
+        return res.success(new ListCompNode(elementNode, clauses, start, end));
     }
 
-    compExpr() {
+    dictExpr() {
         const res = new ParseResult();
+        const start = this.curr.start;
+        let entryNodes = [];
 
-        if (this.curr.equals(new Token(KEYWORD, 'NOT'))) {
-            const opToken = this.curr;
-            res.registerStep();
-            this.step();
+        if (this.curr.type !== LBRACE)
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected '{'"
+                )
+            );
 
-            let node = res.register(this.compExpr());
+        res.registerStep();
+        this.step();
+
+        if (this.curr.type !== RBRACE) {
+            entryNodes.push(res.register(this.dictEntry()));
             if (res.error !== null) return res;
-            return res.success(new UnaryOpNode(opToken, node));
-        }
 
-        let left = res.register(this.arithExpr());
-        if (res.error !== null) return res;
+            while (this.curr.type === COMMA) {
+                res.registerStep();
+                this.step();
 
-        const targets = new Set([EQ, NE, LT, GT, LTE, GTE]);
-        while (targets.has(this.curr.type)) {
-            let opToken = this.curr;
-            res.registerStep();
-            this.step();
-            let right = res.register(this.arithExpr());
-            if (res.error !== null)
+                entryNodes.push(res.register(this.dictEntry()));
+                if (res.error !== null) return res;
+            }
+
+            if (this.curr.type !== RBRACE)
                 return res.failure(
                     new InvalidSyntaxError(
                         this.curr.start,
                         this.curr.end,
-                        "Expected int, float, identifier, '+', '-', or '(', 'NOT'"
+                        "Expected ',' or '}'"
                     )
                 );
-            left = new BinaryOpNode(left, opToken, right);
         }
 
-        return res.success(left);
+        const end = this.curr.end;
+        res.registerStep();
+        this.step();
+        return res.success(new DictNode(entryNodes, start, end));
     }
 
-    expr() {
+    dictEntry() {
         const res = new ParseResult();
 
-        if (this.curr.equals(new Token(KEYWORD, 'VAR'))) {
-            res.registerStep();
-            this.step();
-            if (this.curr.type !== IDENTIFIER) {
-                return res.failure(
-                    new InvalidSyntaxError(
-                        this.curr.start,
-                        this.curr.end,
-                        'Expected identifier'
-                    )
-                );
-            }
+        const key = res.register(this.expr());
+        if (res.error !== null) return res;
 
-            const varName = this.curr;
-            res.registerStep();
-            this.step();
+        if (this.curr.type !== COLON)
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected ':'"
+                )
+            );
 
-            if (this.curr.type !== ASSIGN)
+        res.registerStep();
+        this.step();
+
+        const value = res.register(this.expr());
+        if (res.error !== null) return res;
+        return res.success([key, value]);
+    }
+
+    ifExpr() {
+        const res = new ParseResult();
+        let [cases, elseCase, isBlock] = [[], null, false];
+
+        if (!this.curr.equals(new Token(KEYWORD, 'IF'))) {
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected 'IF'"
+                )
+            );
+        }
+
+        res.registerStep();
+        this.step();
+
+        while (true) {
+            let condition = res.register(this.expr());
+            if (res.error !== null) return res;
+
+            if (!this.curr.equals(new Token(KEYWORD, 'DO')))
                 return res.failure(
                     new InvalidSyntaxError(
                         this.curr.start,
                         this.curr.end,
-                        "Expected '='"
+                        "Expected 'DO'"
                     )
                 );
 
             res.registerStep();
             this.step();
-            const expr = res.register(this.expr());
+
+            isBlock = this.curr.type === NEWLINE;
+            let expr = res.register(
+                isBlock ? this.statements() : this.statement()
+            );
             if (res.error !== null) return res;
+            cases.push([condition, expr]);
 
-            return res.success(new VariableAssignNode(varName, expr));
-        }
+            if (this.curr.equals(new Token(KEYWORD, 'ELIF'))) {
+                res.registerStep();
+                this.step();
+                continue;
+            }
 
-        let left = res.register(this.compExpr());
-        if (res.error !== null) return res;
+            if (this.curr.equals(new Token(KEYWORD, 'ELSE'))) {
+                res.registerStep();
+                this.step();
 
-        while (
-            this.curr.type === PLUS ||
-            this.curr.type === MINUS ||
-            (this.curr.type === KEYWORD &&
-                (this.curr.value === 'AND' || this.curr.value === 'OR'))
-        ) {
-            let op = this.curr;
-            res.registerStep();
-            this.step();
-            let right = res.register(this.compExpr());
-            if (res.error !== null)
+                isBlock = this.curr.type === NEWLINE;
+                elseCase = res.register(
+                    isBlock ? this.statements() : this.statement()
+                );
+                if (res.error !== null) return res;
+            }
+
+            break;
+        }
+
+        if (isBlock) {
+            if (!this.curr.equals(new Token(KEYWORD, 'END')))
                 return res.failure(
                     new InvalidSyntaxError(
                         this.curr.start,
                         this.curr.end,
-                        "Expected 'VAR', int, float, identifier, '+', '-', or '('"
+                        elseCase === null
+                            ? "Expected 'ELIF', 'ELSE' or 'END'"
+                            : "Expected 'END'"
                     )
                 );
-            left = new BinaryOpNode(left, op, right);
-        }
-
-        return res.success(left);
-    }
-
-    factor() {
-        const res = new ParseResult();
-        const currToken = this.curr;
 
-        if (currToken.type === PLUS || currToken.type === MINUS) {
             res.registerStep();
             this.step();
-            let factor = res.register(this.factor());
-            if (res.error !== null) return res;
-            return res.success(new UnaryOpNode(currToken, factor));
         }
 
-        return this.power();
+        return res.success(new IfStatementNode(cases, elseCase));
     }
-}
+
+    forExpr() {
+        const res = new ParseResult();
+
+        if (!this.curr.equals(new Token(KEYWORD, 'FOR')))
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected 'FOR'"
+                )
+            );
+
+        res.registerStep();
+        this.step();
+
+        if (this.curr.type !== IDENTIFIER)
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    'Expected identifier'
+                )
+            );
+
+        const varName = this.curr;
+        res.registerStep();
+        this.step();
+
+        if (this.curr.equals(new Token(KEYWORD, 'IN'))) {
+            res.registerStep();
+            this.step();
+
+            const iterable = res.register(this.expr());
+            if (res.error !== null) return res;
+
+            const body = res.register(this.loopBody());
+            if (res.error !== null) return res;
+            return res.success(new ForInNode(varName, iterable, body));
+        }
+
+        if (this.curr.type !== ASSIGN)
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected '=' or 'IN'"
+                )
+            );
+
+        res.registerStep();
+        this.step();
+
+        const startVal = res.register(this.expr());
+        if (res.error !== null) return res;
+
+        if (!this.curr.equals(new Token(KEYWORD, 'UPTO')))
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected 'UPTO'"
+                )
+            );
+
+        res.registerStep();
+        this.step();
+
+        const endVal = res.register(this.expr());
+        let stepVal = null;
+        if (res.error !== null) return res;
+
+        if (this.curr.equals(new Token(KEYWORD, 'STEP'))) {
+            res.registerStep();
+            this.step();
+
+            stepVal = res.register(this.expr());
+            if (res.error !== null) return res;
+        }
+
+        const body = res.register(this.loopBody());
+        if (res.error !== null) return res;
+
+        return res.success(
+            new ForNode(varName, startVal, endVal, stepVal, body)
+        );
+    }
+
+    loopBody() {
+        const res = new ParseResult();
+
+        if (!this.curr.equals(new Token(KEYWORD, 'DO')))
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected 'DO'"
+                )
+            );
+
+        res.registerStep();
+        this.step();
+
+        const isBlock = this.curr.type === NEWLINE;
+        this.loopDepth++;
+        const body = res.register(
+            isBlock ? this.statements() : this.statement()
+        );
+        this.loopDepth--;
+        if (res.error !== null) return res;
+
+        if (isBlock) {
+            if (!this.curr.equals(new Token(KEYWORD, 'END')))
+                return res.failure(
+                    new InvalidSyntaxError(
+                        this.curr.start,
+                        this.curr.end,
+                        "Expected 'END'"
+                    )
+                );
+
+            res.registerStep();
+            this.step();
+        }
+
+        return res.success(body);
+    }
+
+    whileExpr() {
+        const res = new ParseResult();
+
+        if (!this.curr.equals(new Token(KEYWORD, 'WHILE')))
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected 'WHILE'"
+                )
+            );
+
+        res.registerStep();
+        this.step();
+
+        const cond = res.register(this.expr());
+        if (res.error !== null) return res;
+
+        const body = res.register(this.loopBody());
+        if (res.error !== null) return res;
+
+        return res.success(new WhileNode(cond, body));
+    }
+
+    tryExpr() {
+        const res = new ParseResult();
+        const start = this.curr.start.copy();
+
+        if (!this.curr.equals(new Token(KEYWORD, 'TRY')))
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected 'TRY'"
+                )
+            );
+
+        res.registerStep();
+        this.step();
+
+        const body = res.register(this.statements());
+        if (res.error !== null) return res;
+        let [errorName, catchBody, finallyBody] = [null, null, null];
+
+        if (this.curr.equals(new Token(KEYWORD, 'CATCH'))) {
+            res.registerStep();
+            this.step();
+
+            if (this.curr.type !== IDENTIFIER)
+                return res.failure(
+                    new InvalidSyntaxError(
+                        this.curr.start,
+                        this.curr.end,
+                        'Expected identifier'
+                    )
+                );
+
+            errorName = this.curr;
+            res.registerStep();
+            this.step();
+
+            if (!this.curr.equals(new Token(KEYWORD, 'DO')))
+                return res.failure(
+                    new InvalidSyntaxError(
+                        this.curr.start,
+                        this.curr.end,
+                        "Expected 'DO'"
+                    )
+                );
+
+            res.registerStep();
+            this.step();
+
+            catchBody = res.register(this.statements());
+            if (res.error !== null) return res;
+        }
+
+        if (this.curr.equals(new Token(KEYWORD, 'FINALLY'))) {
+            res.registerStep();
+            this.step();
+
+            finallyBody = res.register(this.statements());
+            if (res.error !== null) return res;
+        }
+
+        if (catchBody === null && finallyBody === null)
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected 'CATCH' or 'FINALLY'"
+                )
+            );
+
+        if (!this.curr.equals(new Token(KEYWORD, 'END')))
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected 'END'"
+                )
+            );
+
+        const end = this.curr.end.copy();
+        res.registerStep();
+        this.step();
+
+        return res.success(
+            new TryNode(body, errorName, catchBody, finallyBody, start, end)
+        );
+    }
+
+    paramNames() {
+        const res = new ParseResult();
+        res.registerStep();
+        this.step();
+        let names = [];
+
+        if (this.curr.type === IDENTIFIER) {
+            names.push(this.curr);
+            res.registerStep();
+            this.step();
+
+            while (this.curr.type === COMMA) {
+                res.registerStep();
+                this.step();
+
+                if (this.curr.type !== IDENTIFIER)
+                    return res.failure(
+                        new InvalidSyntaxError(
+                            this.curr.start,
+                            this.curr.end,
+                            'Expected identifier'
+                        )
+                    );
+
+                names.push(this.curr);
+                res.registerStep();
+                this.step();
+            }
+        }
+
+        if (this.curr.type !== RPAREN)
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    names.length > 0
+                        ? "Expected ',' or ')'"
+                        : "Expected identifier or ')'"
+                )
+            );
+
+        res.registerStep();
+        this.step();
+        return res.success(names);
+    }
+
+    classDef() {
+        const res = new ParseResult();
+        const start = this.curr.start.copy();
+
+        if (!this.curr.equals(new Token(KEYWORD, 'CLASS')))
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected 'CLASS'"
+                )
+            );
+
+        res.registerStep();
+        this.step();
+
+        if (this.curr.type !== IDENTIFIER)
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    'Expected identifier'
+                )
+            );
+
+        const name = this.curr;
+        res.registerStep();
+        this.step();
+
+        if (this.curr.type !== LPAREN)
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected '('"
+                )
+            );
+
+        const fieldNames = res.register(this.paramNames());
+        if (res.error !== null) return res;
+
+        let parentNode = null;
+        if (this.curr.equals(new Token(KEYWORD, 'EXTENDS'))) {
+            res.registerStep();
+            this.step();
+
+            if (this.curr.type !== IDENTIFIER)
+                return res.failure(
+                    new InvalidSyntaxError(
+                        this.curr.start,
+                        this.curr.end,
+                        'Expected identifier'
+                    )
+                );
+
+            parentNode = new VariableNode(this.curr);
+            res.registerStep();
+            this.step();
+        }
+
+        this.classDepth++;
+        const methods = res.register(this.classBody());
+        this.classDepth--;
+        if (res.error !== null) return res;
+
+        if (!this.curr.equals(new Token(KEYWORD, 'END')))
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected 'FUN' or 'END'"
+                )
+            );
+
+        const end = this.curr.end.copy();
+        res.registerStep();
+        this.step();
+
+        return res.success(
+            new ClassDefNode(name, fieldNames, parentNode, methods, start, end)
+        );
+    }
+
+    classBody() {
+        const res = new ParseResult();
+        let methods = [];
+
+        while (this.curr.type === NEWLINE) {
+            res.registerStep();
+            this.step();
+        }
+
+        while (this.curr.equals(new Token(KEYWORD, 'FUN'))) {
+            const method = res.register(this.funcDef());
+            if (res.error !== null) return res;
+
+            if (method.varName === null)
+                return res.failure(
+                    new InvalidSyntaxError(
+                        method.start,
+                        method.end,
+                        'Methods must be named'
+                    )
+                );
+            methods.push(method);
+
+            while (this.curr.type === NEWLINE) {
+                res.registerStep();
+                this.step();
+            }
+        }
+
+        return res.success(methods);
+    }
+
+    funcDef() {
+        const res = new ParseResult();
+
+        if (!this.curr.equals(new Token(KEYWORD, 'FUN')))
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected 'FUN'"
+                )
+            );
+
+        res.registerStep();
+        this.step();
+
+        let varName = null;
+        if (this.curr.type === IDENTIFIER) {
+            varName = this.curr;
+            res.registerStep();
+            this.step();
+        }
+
+        if (this.curr.type !== LPAREN)
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    varName !== null
+                        ? "Expected '('"
+                        : "Expected identifier or '('"
+                )
+            );
+
+        const argNames = res.register(this.paramNames());
+        if (res.error !== null) return res;
+
+        if (this.curr.type !== ARROW && this.curr.type !== NEWLINE)
+            return res.failure(
+                new InvalidSyntaxError(
+                    this.curr.start,
+                    this.curr.end,
+                    "Expected '->' or newline"
+                )
+            );
+
+        const isBlock = this.curr.type === NEWLINE;
+        if (!isBlock) {
+            res.registerStep();
+            this.step();
+        }
+
+        const [loopDepth, hasYield] = [this.loopDepth, this.hasYield];
+        [this.loopDepth, this.hasYield] = [0, false];
+        this.funcDepth++;
+        const body = res.register(isBlock ? this.statements() : this.expr());
+        this.funcDepth--;
+        const isGenerator = this.hasYield;
+        [this.loopDepth, this.hasYield] = [loopDepth, hasYield];
+        if (res.error !== null) return res;
+
+        if (isBlock) {
+            if (!this.curr.equals(new Token(KEYWORD, 'END')))
+                return res.failure(
+                    new InvalidSyntaxError(
+                        this.curr.start,
+                        this.curr.end,
+                        "Expected 'END'"
+                    )
+                );
+
+            res.registerStep();
+            this.step();
+        }
+
+        return res.success(
+            new FuncDefNode(varName, argNames, body, !isBlock, isGenerator)
+        );
+    }
+
+    atom() {
+        const res = new ParseResult();
+        const currToken = this.curr;
+
+        if (currToken.type === INT || currToken.type === FLOAT) {
+            res.registerStep();
+            this.step();
+            return res.success(new NumberNode(currToken));
+        } else if (currToken.type === STRING) {
+            res.registerStep();
+            this.step();
+            return res.success(new StringNode(currToken));
+        } else if (
+            currToken.equals(new Token(KEYWORD, 'TRUE')) ||
+            currToken.equals(new Token(KEYWORD, 'FALSE'))
+        ) {
+            res.registerStep();
+            this.step();
+            return res.success(new BooleanNode(currToken));
+        } else if (currToken.equals(new Token(KEYWORD, 'NULL'))) {
+            res.registerStep();
+            this.step();
+            return res.success(new NullNode(currToken));
+        } else if (currToken.type === IDENTIFIER) {
+            res.registerStep();
+            this.step();
+            return res.success(new VariableNode(currToken));
+        } else if (
+            currToken.equals(new Token(KEYWORD, 'SELF')) ||
+            currToken.equals(new Token(KEYWORD, 'SUPER'))
+        ) {
+            if (this.classDepth === 0)
+                return res.failure(
+                    new InvalidSyntaxError(
+                        currToken.start,
+                        currToken.end,
+                        `'${currToken.value}' outside class`
+                    )
+                );
+
+            res.registerStep();
+            this.step();
+            return res.success(new VariableNode(currToken));
+        } else if (currToken.type === LPAREN) {
+            res.registerStep();
+            this.step();
+            let expr = res.register(this.expr());
+            if (res.error !== null) return res;
+            if (this.curr.type === RPAREN) {
+                res.registerStep();
+                this.step();
+                return res.success(expr);
+            } else {
+                return res.failure(
+                    new InvalidSyntaxError(
+                        this.curr.start,
+                        this.curr.end,
+                        "Expected ')'"
+                    )
+                );
+            }
+        } else if (currToken.type === LSQUARE) {
+            let listExpr = res.register(this.listExpr());
+            if (res.error !== null) return res;
+            return res.success(listExpr);
+        } else if (currToken.type === LBRACE) {
+            let dictExpr = res.register(this.dictExpr());
+            if (res.error !== null) return res;
+            return res.success(dictExpr);
+        } else if (currToken.equals(new Token(KEYWORD, 'IF'))) {
+            let ifExpr = res.register(this.ifExpr());
+            if (res.error !== null) return res;
+            return res.success(ifExpr);
+        } else if (currToken.equals(new Token(KEYWORD, 'FOR'))) {
+            let forExpr = res.register(this.forExpr());
+            if (res.error !== null) return res;
+            return res.success(forExpr);
+        } else if (currToken.equals(new Token(KEYWORD, 'WHILE'))) {
+            let whileExpr = res.register(this.whileExpr());
+            if (res.error !== null) return res;
+            return res.success(whileExpr);
+        } else if (currToken.equals(new Token(KEYWORD, 'TRY'))) {
+            let tryExpr = res.register(this.tryExpr());
+            if (res.error !== null) return res;
+            return res.success(tryExpr);
+        } else if (currToken.equals(new Token(KEYWORD, 'CLASS'))) {
+            let classDef = res.register(this.classDef());
+            if (res.error !== null) return res;
+            return res.success(classDef);
+        } else if (currToken.equals(new Token(KEYWORD, 'FUN'))) {
+            let funcDef = res.register(this.funcDef());
+            if (res.error !== null) return res;
+            return res.success(funcDef);
+        }
+
+        return res.failure(
+            new InvalidSyntaxError(
+                currToken.start,
+                currToken.end,
+                "Expected int, float, string, identifier, 'TRUE', 'FALSE', 'NULL', '+', '-', '~', '(', '[', '{', 'IF', 'FOR', 'WHILE', 'TRY', 'FUN' or 'CLASS'"
+            )
+        );
+    }
+
+    term() {
+        const res = new ParseResult();
+        let left = res.register(this.factor());
+        if (res.error !== null) return res;
+
+        const targets = new Set([MUL, DIV, FLOORDIV, MOD]);
+        while (targets.has(this.curr.type)) {
+            let op = this.curr;
+            res.registerStep();
+            this.step();
+            let right = res.register(this.factor());
+            if (res.error !== null) return res;
+            left = new BinaryOpNode(left, op, right);
+        }
+
+        return res.success(left);
+    }
+
+    arithExpr() {
+        const res = new ParseResult();
+        let left = res.register(this.term());
+        if (res.error !== null) return res;
+
+        const targets = new Set([PLUS, MINUS]);
+        while (targets.has(this.curr.type)) {
+            let opToken = this.curr;
+            res.registerStep();
+            this.step();
+            let right = res.register(this.term());
+            if (res.error !== null)
+                return res.failure(
+                    new InvalidSyntaxError(
+                        this.curr.start,
+                        this.curr.end,
+                        "Expected int, float, identifier, '+', '-', or '(', 'NOT'"
+                    )
+                );
+            left = new BinaryOpNode(left, opToken, right);
+        }
+
+        return res.success(left);
+    }
+
+    binaryOp(operand, isOp) {
+        const res = new ParseResult();
+        let left = res.register(operand());
+        if (res.error !== null) return res;
+
+        while (isOp(this.curr)) {
+            let op = this.curr;
+            res.registerStep();
+            this.step();
+            let right = res.register(operand());
+            if (res.error !== null) return res;
+            left = new BinaryOpNode(left, op, right);
+        }
+
+        return res.success(left);
+    }
+
+    shiftExpr() {
+        return this.binaryOp(
+            () => this.arithExpr(),
+            (token) => token.type === LSHIFT || token.type === RSHIFT
+        );
+    }
+
+    bitAndExpr() {
+        return this.binaryOp(
+            () => this.shiftExpr(),
+            (token) => token.type === BITAND
+        );
+    }
+
+    bitXorExpr() {
+        return this.binaryOp(
+            () => this.bitAndExpr(),
+            (token) => token.equals(new Token(KEYWORD, 'XOR'))
+        );
+    }
+
+    bitOrExpr() {
+        return this.binaryOp(
+            () => this.bitXorExpr(),
+            (token) => token.type === BITOR
+        );
+    }
+
+    compExpr() {
+        const res = new ParseResult();
+
+        if (this.curr.equals(new Token(KEYWORD, 'NOT'))) {
+            const opToken = this.curr;
+            res.registerStep();
+            this.step();
+
+            let node = res.register(this.compExpr());
+            if (res.error !== null) return res;
+            return res.success(new UnaryOpNode(opToken, node));
+        }
+
+        let left = res.register(this.bitOrExpr());
+        if (res.error !== null) return res;
+
+        let [operands, ops] = [[left], []];
+        const targets = new Set([EQ, NE, LT, GT, LTE, GTE]);
+        while (targets.has(this.curr.type)) {
+            ops.push(this.curr);
+            res.registerStep();
+            this.step();
+            let right = res.register(this.bitOrExpr());
+            if (res.error !== null)
+                return res.failure(
+                    new InvalidSyntaxError(
+                        this.curr.start,
+                        this.curr.end,
+                        "Expected int, float, identifier, '+', '-', or '(', 'NOT'"
+                    )
+                );
+            operands.push(right);
+        }
+
+        if (ops.length === 0) return res.success(left);
+        return res.success(new CompareNode(operands, ops));
+    }
+
+    expr() {
+        const res = new ParseResult();
+
+        if (
+            this.curr.equals(new Token(KEYWORD, 'VAR')) ||
+            this.curr.equals(new Token(KEYWORD, 'CONST'))
+        ) {
+            const isConst = this.curr.value === 'CONST';
+            res.registerStep();
+            this.step();
+            if (this.curr.type !== IDENTIFIER) {
+                return res.failure(
+                    new InvalidSyntaxError(
+                        this.curr.start,
+                        this.curr.end,
+                        'Expected identifier'
+                    )
+                );
+            }
+
+            const varName = this.curr;
+            res.registerStep();
+            this.step();
+
+            if (this.curr.type !== ASSIGN)
+                return res.failure(
+                    new InvalidSyntaxError(
+                        this.curr.start,
+                        this.curr.end,
+                        "Expected '='"
+                    )
+                );
+
+            res.registerStep();
+            this.step();
+            const expr = res.register(this.expr());
+            if (res.error !== null) return res;
+
+            return res.success(new VariableAssignNode(varName, expr, isConst));
+        }
+
+        let left = res.register(this.compExpr());
+        if (res.error !== null) return res;
+
+        if (
+            (left instanceof VariableNode
+                ? left.tokenID.type === IDENTIFIER
+                : left instanceof IndexNode || left instanceof AttrNode) &&
+            (this.curr.type === ASSIGN || ASSIGN_OPS.has(this.curr.type))
+        ) {
+            const op =
+                this.curr.type === ASSIGN
+                    ? null
+                    : new Token(
+                          ASSIGN_OPS.get(this.curr.type),
+                          null,
+                          this.curr.start,
+                          this.curr.end
+                      );
+            res.registerStep();
+            this.step();
+            let value = res.register(this.expr());
+            if (res.error !== null) return res;
+
+            if (left instanceof IndexNode)
+                return res.success(
+                    new IndexAssignNode(left.node, left.index, value, op)
+                );
+            if (left instanceof AttrNode)
+                return res.success(
+                    new AttrAssignNode(left.node, left.name, value, op)
+                );
+
+            if (op !== null) value = new BinaryOpNode(left, op, value);
+            return res.success(new VariableReassignNode(left.tokenID, value));
+        }
+
+        while (
+            this.curr.type === PLUS ||
+            this.curr.type === MINUS ||
+            (this.curr.type === KEYWORD &&
+                (this.curr.value === 'AND' || this.curr.value === 'OR'))
+        ) {
+            let op = this.curr;
+            res.registerStep();
+            this.step();
+            let right = res.register(this.compExpr());
+            if (res.error !== null)
+                return res.failure(
+                    new InvalidSyntaxError(
+                        this.curr.start,
+                        this.curr.end,
+                        "Expected 'VAR', int, float, identifier, '+', '-', or '('"
+                    )
+                );
+            left =
+                op.type === KEYWORD
+                    ? new LogicalOpNode(left, op, right)
+                    : new BinaryOpNode(left, op, right);
+        }
+
+        return res.success(left);
+    }
+
+    factor() {
+        const res = new ParseResult();
+        const currToken = this.curr;
+
+        if (
+            currToken.type === PLUS ||
+            currToken.type === MINUS ||
+            currToken.type === BITNOT
+        ) {
+            res.registerStep();
+            this.step();
+            let factor = res.register(this.factor());
+            if (res.error !== null) return res;
+            return res.success(new UnaryOpNode(currToken, factor));
+        }
+
+        return this.power();
+    }
+}
+/*
+PRIMITIVES
+*/
+const MAX_SAFE_INT = BigInt(globalThis.Number.MAX_SAFE_INTEGER);
+const isSafeInteger = globalThis.Number.isSafeInteger;
+
+// Integers stay plain numbers while they fit the safe range and are
+// promoted to BigInt beyond it.
+const toInt = (big) =>
+    big >= -MAX_SAFE_INT && big <= MAX_SAFE_INT ? globalThis.Number(big) : big;
+const toFloat = (value) =>
+    typeof value === 'bigint' ? globalThis.Number(value) : value;
+
+// Deep recursion in pop code overflows the JS stack, which is reported as a
+// pop error rather than left to escape from run().
+const isStackOverflow = (e) =>
+    e instanceof RangeError && e.message.includes('call stack');
+const recursionError = (start, end, ctx) =>
+    new RuntimeError(start, end, 'Maximum recursion depth exceeded', ctx);
+
+// Steps through a JS iterable on behalf of a pop value. next() reports the
+// following element, or null once exhausted, as an RTResult so iterators that
+// run pop code can fail mid-iteration.
+class Iterator {
+    constructor(values, wrap = (value) => value) {
+        this.values = values[Symbol.iterator]();
+        this.wrap = wrap;
+    }
+
+    next() {
+        const { value, done } = this.values.next();
+        return new RTResult().success(done ? null : this.wrap(value));
+    }
+}
+
+class Value {
+    static typeName = 'value';
+
+    constructor() {
+        this.setPos();
+        this.setContext();
+    }
+
+    setPos(start = null, end = null) {
+        this.start = start;
+        this.end = end;
+        return this;
+    }
+
+    setContext(ctx = null) {
+        this.context = ctx;
+        return this;
+    }
+
+    add(other) {
+        return [null, this.illegalOperation(other)];
+    }
+
+    subtract(other) {
+        return [null, this.illegalOperation(other)];
+    }
+
+    multiply(other) {
+        return [null, this.illegalOperation(other)];
+    }
+
+    divide(other) {
+        return [null, this.illegalOperation(other)];
+    }
+
+    floorDivide(other) {
+        return [null, this.illegalOperation(other)];
+    }
+
+    modulo(other) {
+        return [null, this.illegalOperation(other)];
+    }
+
+    pow(other) {
+        return [null, this.illegalOperation(other)];
+    }
+
+    bitAnd(other) {
+        return [null, this.illegalOperation(other)];
+    }
+
+    bitOr(other) {
+        return [null, this.illegalOperation(other)];
+    }
+
+    bitXor(other) {
+        return [null, this.illegalOperation(other)];
+    }
+
+    shiftLeft(other) {
+        return [null, this.illegalOperation(other)];
+    }
+
+    shiftRight(other) {
+        return [null, this.illegalOperation(other)];
+    }
+
+    bitNot() {
+        return [null, this.illegalOperation()];
+    }
+
+    negative() {
+        return [null, this.illegalOperation()];
+    }
+
+    getCompEq(other) {
+        return [new Boolean(this.equals(other)).setContext(this.context), null];
+    }
+
+    getCompNe(other) {
+        return [
+            new Boolean(!this.equals(other)).setContext(this.context),
+            null,
+        ];
+    }
+
+    getCompLt(other) {
+        return [null, this.illegalOperation(other)];
+    }
+
+    getCompLte(other) {
+        return [null, this.illegalOperation(other)];
+    }
+
+    getCompGt(other) {
+        return [null, this.illegalOperation(other)];
+    }
+
+    getCompGte(other) {
+        return [null, this.illegalOperation(other)];
+    }
+
+    negate() {
+        return [new Boolean(!this.isTrue()).setContext(this.context), null];
+    }
+
+    equals(other) {
+        return this === other;
+    }
+
+    isTrue() {
+        return true;
+    }
+
+    getIndex(index) {
+        return [null, this.illegalOperation(index)];
+    }
+
+    setIndex(index, value) {
+        return [null, this.illegalOperation(index)];
+    }
+
+    getAttr(name) {
+        return [
+            null,
+            new RuntimeError(
+                name.start,
+                name.end,
+                `${this.constructor.typeName} value has no attribute '${name.value}'`,
+                this.context
+            ),
+        ];
+    }
+
+    setAttr(name, value) {
+        return [
+            null,
+            new RuntimeError(
+                name.start,
+                name.end,
+                `Cannot set attribute '${name.value}' on a ${this.constructor.typeName} value`,
+                this.context
+            ),
+        ];
+    }
+
+    iterate() {
+        return [
+            null,
+            new RuntimeError(
+                this.start,
+                this.end,
+                `${this.constructor.typeName} value is not iterable`,
+                this.context
+            ),
+        ];
+    }
+
+    execute(args) {
+        return new RTResult().failure(this.illegalOperation());
+    }
+
+    repr() {
+        return this.toString();
+    }
+
+    illegalOperation(other = this) {
+        return new RuntimeError(
+            this.start,
+            other.end,
+            'Illegal operation',
+            this.context
+        );
+    }
+}
+
+class Number extends Value {
+    static typeName = 'number';
+
+    constructor(value, type = INT) {
+        super();
+        this.value = value;
+        this.type = type;
+    }
+
+    resultType(other) {
+        return this.type === FLOAT || other.type === FLOAT ? FLOAT : INT;
+    }
+
+    arithmetic(other, type, intOp, floatOp, fastOp = null) {
+        const [a, b] = [this.value, other.value];
+        if (type === FLOAT)
+            return new Number(floatOp(toFloat(a), toFloat(b)), FLOAT);
+
+        if (fastOp !== null && typeof a === 'number' && typeof b === 'number') {
+            const result = fastOp(a, b);
+            if (isSafeInteger(result)) return new Number(result, INT);
+        }
+        return new Number(toInt(intOp(BigInt(a), BigInt(b))), INT);
+    }
+
+    add(other) {
+        if (other instanceof Number)
+            return [
+                this.arithmetic(
+                    other,
+                    this.resultType(other),
+                    (a, b) => a + b,
+                    (a, b) => a + b,
+                    (a, b) => a + b
+                ).setContext(this.context),
+                null,
+            ];
+        return [null, this.illegalOperation(other)];
+    }
+
+    subtract(other) {
+        if (other instanceof Number)
+            return [
+                this.arithmetic(
+                    other,
+                    this.resultType(other),
+                    (a, b) => a - b,
+                    (a, b) => a - b,
+                    (a, b) => a - b
+                ).setContext(this.context),
+                null,
+            ];
+        return [null, this.illegalOperation(other)];
+    }
+
+    multiply(other) {
+        if (other instanceof Number)
+            return [
+                this.arithmetic(
+                    other,
+                    this.resultType(other),
+                    (a, b) => a * b,
+                    (a, b) => a * b,
+                    (a, b) => a * b
+                ).setContext(this.context),
+                null,
+            ];
+        return [null, this.illegalOperation(other)];
+    }
+
+    divide(other) {
+        if (other instanceof Number) {
+            if (other.value === 0) return [null, this.divisionByZero(other)];
+            return [
+                new Number(
+                    toFloat(this.value) / toFloat(other.value),
+                    FLOAT
+                ).setContext(this.context),
+                null,
+            ];
+        }
+        return [null, this.illegalOperation(other)];
+    }
+
+    floorDivide(other) {
+        if (other instanceof Number) {
+            if (other.value === 0) return [null, this.divisionByZero(other)];
+            return [
+                this.arithmetic(
+                    other,
+                    this.resultType(other),
+                    (a, b) => (a - (((a % b) + b) % b)) / b,
+                    (a, b) => Math.floor(a / b)
+                ).setContext(this.context),
+                null,
+            ];
+        }
+        return [null, this.illegalOperation(other)];
+    }
+
+    modulo(other) {
+        if (other instanceof Number) {
+            if (other.value === 0) return [null, this.divisionByZero(other)];
+            return [
+                this.arithmetic(
+                    other,
+                    this.resultType(other),
+                    (a, b) => ((a % b) + b) % b,
+                    (a, b) => ((a % b) + b) % b
+                ).setContext(this.context),
+                null,
+            ];
+        }
+        return [null, this.illegalOperation(other)];
+    }
+
+    pow(other) {
+        if (other instanceof Number) {
+            const type =
+                this.resultType(other) === INT && other.value >= 0
+                    ? INT
+                    : FLOAT;
+            try {
+                return [
+                    this.arithmetic(
+                        other,
+                        type,
+                        (a, b) => a ** b,
+                        (a, b) => Math.pow(a, b)
+                    ).setContext(this.context),
+                    null,
+                ];
+            } catch (e) {
+                return [
+                    null,
+                    new RuntimeError(
+                        this.start,
+                        other.end,
+                        'Integer result too large',
+                        this.context
+                    ),
+                ];
+            }
+        }
+        return [null, this.illegalOperation(other)];
+    }
+
+    bitwise(other, op, isShift = false) {
+        if (!(other instanceof Number))
+            return [null, this.illegalOperation(other)];
+        if (this.type === FLOAT || other.type === FLOAT)
+            return [null, this.integerRequired(other)];
+        if (isShift && other.value < 0)
+            return [
+                null,
+                new RuntimeError(
+                    other.start,
+                    other.end,
+                    'Negative shift count',
+                    this.context
+                ),
+            ];
+
+        try {
+            const value = op(BigInt(this.value), BigInt(other.value));
+            return [new Number(toInt(value)).setContext(this.context), null];
+        } catch (e) {
+            return [
+                null,
+                new RuntimeError(
+                    this.start,
+                    other.end,
+                    'Integer result too large',
+                    this.context
+                ),
+            ];
+        }
+    }
+
+    bitAnd(other) {
+        return this.bitwise(other, (a, b) => a & b);
+    }
+
+    bitOr(other) {
+        return this.bitwise(other, (a, b) => a | b);
+    }
+
+    bitXor(other) {
+        return this.bitwise(other, (a, b) => a ^ b);
+    }
+
+    shiftLeft(other) {
+        return this.bitwise(other, (a, b) => a << b, true);
+    }
+
+    shiftRight(other) {
+        return this.bitwise(other, (a, b) => a >> b, true);
+    }
+
+    bitNot() {
+        if (this.type === FLOAT) return [null, this.integerRequired()];
+        return [
+            new Number(toInt(~BigInt(this.value))).setContext(this.context),
+            null,
+        ];
+    }
+
+    negative() {
+        const value =
+            this.type === FLOAT ? -this.value : toInt(-BigInt(this.value));
+        return [new Number(value, this.type).setContext(this.context), null];
+    }
+
+    getCompLt(other) {
+        if (other instanceof Number) {
+            return [
+                new Boolean(this.value < other.value).setContext(this.context),
+                null,
+            ];
+        }
+        return [null, this.illegalOperation(other)];
+    }
+
+    getCompLte(other) {
+        if (other instanceof Number) {
+            return [
+                new Boolean(this.value <= other.value).setContext(this.context),
+                null,
+            ];
+        }
+        return [null, this.illegalOperation(other)];
+    }
+
+    getCompGt(other) {
+        if (other instanceof Number) {
+            return [
+                new Boolean(this.value > other.value).setContext(this.context),
+                null,
+            ];
+        }
+        return [null, this.illegalOperation(other)];
+    }
+
+    getCompGte(other) {
+        if (other instanceof Number) {
+            return [
+                new Boolean(this.value >= other.value).setContext(this.context),
+                null,
+            ];
+        }
+        return [null, this.illegalOperation(other)];
+    }
+
+    equals(other) {
+        // Loose equality compares BigInt and float values numerically.
+        return other instanceof Number && this.value == other.value;
+    }
+
+    isTrue() {
+        return this.value !== 0;
+    }
+
+    divisionByZero(other) {
+        return new RuntimeError(
+            other.start,
+            other.end,
+            'Division by zero',
+            this.context
+        );
+    }
+
+    integerRequired(other = this) {
+        return new RuntimeError(
+            this.start,
+            other.end,
+            'Bitwise operations require integers',
+            this.context
+        );
+    }
+
+    copy() {
+        let copied = new Number(this.value, this.type);
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        const text = `${this.value}`;
+        return this.type === FLOAT && /^-?\d+$/.test(text) ? `${text}.0` : text;
+    }
+}
+
+class Boolean extends Value {
+    static typeName = 'boolean';
+
+    constructor(value) {
+        super();
+        this.value = value;
+    }
+
+    equals(other) {
+        return other instanceof Boolean && this.value === other.value;
+    }
+
+    isTrue() {
+        return this.value;
+    }
+
+    copy() {
+        let copied = new Boolean(this.value);
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        return this.value ? 'TRUE' : 'FALSE';
+    }
+}
+
+class Null extends Value {
+    static typeName = 'null';
+
+    equals(other) {
+        return other instanceof Null;
+    }
+
+    isTrue() {
+        return false;
+    }
+
+    copy() {
+        let copied = new Null();
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        return 'NULL';
+    }
+}
+
+// Ordered values indexed by position. A negative index counts back from the
+// end and a Slice index selects a new value of the same type, so subclasses
+// only describe their length, single elements and slices.
+class Sequence extends Value {
+    getIndex(index) {
+        if (index instanceof Slice) {
+            const [bounds, error] = index.indices(this.length());
+            if (error !== null) return [null, error];
+            return [this.slice(...bounds).setContext(this.context), null];
+        }
+
+        const [position, error] = this.checkIndex(index);
+        if (error !== null) return [null, error];
+        return [this.itemAt(position), null];
+    }
+
+    checkIndex(index) {
+        const typeName = this.constructor.typeName;
+        const name = typeName[0].toUpperCase() + typeName.slice(1);
+        if (!(index instanceof Number) || index.type !== INT)
+            return [
+                null,
+                new RuntimeError(
+                    index.start,
+                    index.end,
+                    `${name} indices must be integers`,
+                    this.context
+                ),
+            ];
+
+        const length = this.length();
+        let position = globalThis.Number(index.value);
+        if (position < 0) position += length;
+        if (position < 0 || position >= length)
+            return [
+                null,
+                new RuntimeError(
+                    this.start,
+                    this.end,
+                    `${name} index out of range`,
+                    this.context
+                ),
+            ];
+        return [position, null];
+    }
+
+    // How many copies sequence * other makes, as a plain number. Counts may be
+    // BigInts, so the length of the result is checked before building it.
+    repeatCount(other, limit) {
+        if (this.length() === 0 || other.value <= 0) return [0, null];
+
+        const count = globalThis.Number(other.value);
+        if (count * this.length() <= limit) return [count, null];
+        return [
+            null,
+            new RuntimeError(
+                this.start,
+                other.end,
+                `Repeated ${this.constructor.typeName} is too long`,
+                this.context
+            ),
+        ];
+    }
+
+    static *positions(start, stop, step) {
+        for (let i = start; step > 0 ? i < stop : i > stop; i += step) yield i;
+    }
+}
+
+class String extends Sequence {
+    static typeName = 'string';
+
+    constructor(value) {
+        super();
+        this.value = value;
+    }
+
+    add(other) {
+        if (other instanceof String)
+            return [
+                new String(this.value + other.value).setContext(this.context),
+                null,
+            ];
+        return [null, this.illegalOperation(other)];
+    }
+
+    multiply(other) {
+        if (!(other instanceof Number) || other.type !== INT)
+            return [null, this.illegalOperation(other)];
+
+        const [count, error] = this.repeatCount(other, MAX_STRING_REPEAT);
+        if (error !== null) return [null, error];
+        return [
+            new String(this.value.repeat(count)).setContext(this.context),
+            null,
+        ];
+    }
+
+    getCompLt(other) {
+        if (other instanceof String)
+            return [
+                new Boolean(this.value < other.value).setContext(this.context),
+                null,
+            ];
+        return [null, this.illegalOperation(other)];
+    }
+
+    getCompLte(other) {
+        if (other instanceof String)
+            return [
+                new Boolean(this.value <= other.value).setContext(this.context),
+                null,
+            ];
+        return [null, this.illegalOperation(other)];
+    }
+
+    getCompGt(other) {
+        if (other instanceof String)
+            return [
+                new Boolean(this.value > other.value).setContext(this.context),
+                null,
+            ];
+        return [null, this.illegalOperation(other)];
+    }
+
+    getCompGte(other) {
+        if (other instanceof String)
+            return [
+                new Boolean(this.value >= other.value).setContext(this.context),
+                null,
+            ];
+        return [null, this.illegalOperation(other)];
+    }
+
+    length() {
+        return this.value.length;
+    }
+
+    itemAt(position) {
+        return new String(this.value[position]).setContext(this.context);
+    }
+
+    slice(start, stop, step) {
+        let chars = [];
+        for (const i of Sequence.positions(start, stop, step))
+            chars.push(this.value[i]);
+        return new String(chars.join(''));
+    }
+
+    equals(other) {
+        return other instanceof String && this.value === other.value;
+    }
+
+    isTrue() {
+        return this.value.length > 0;
+    }
+
+    iterate() {
+        return [
+            new Iterator(this.value, (char) =>
+                new String(char).setContext(this.context)
+            ),
+            null,
+        ];
+    }
+
+    copy() {
+        let copied = new String(this.value);
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        return this.value;
+    }
+
+    repr() {
+        return JSON.stringify(this.value);
+    }
+}
+
+class List extends Sequence {
+    static typeName = 'list';
+
+    constructor(elements) {
+        super();
+        this.elements = elements;
+    }
+
+    add(other) {
+        if (other instanceof List)
+            return [
+                new List([...this.elements, ...other.elements]).setContext(
+                    this.context
+                ),
+                null,
+            ];
+        return [null, this.illegalOperation(other)];
+    }
+
+    multiply(other) {
+        if (!(other instanceof Number) || other.type !== INT)
+            return [null, this.illegalOperation(other)];
+
+        const [count, error] = this.repeatCount(other, MAX_LIST_REPEAT);
+        if (error !== null) return [null, error];
+
+        let elements = [];
+        for (let i = 0; i < count; i++)
+            for (const element of this.elements) elements.push(element);
+        return [new List(elements).setContext(this.context), null];
+    }
+
+    length() {
+        return this.elements.length;
+    }
+
+    itemAt(position) {
+        return this.elements[position];
+    }
+
+    slice(start, stop, step) {
+        let elements = [];
+        for (const i of Sequence.positions(start, stop, step))
+            elements.push(this.elements[i]);
+        return new List(elements);
+    }
+
+    setIndex(index, value) {
+        const [position, error] = this.checkIndex(index);
+        if (error !== null) return [null, error];
+        this.elements[position] = value;
+        return [value, null];
+    }
+
+    equals(other) {
+        return (
+            other instanceof List &&
+            (this.elements === other.elements ||
+                (this.elements.length === other.elements.length &&
+                    this.elements.every((element, i) =>
+                        element.equals(other.elements[i])
+                    )))
+        );
+    }
+
+    isTrue() {
+        return this.elements.length > 0;
+    }
+
+    iterate() {
+        return [new Iterator(this.elements), null];
+    }
+
+    copy() {
+        let copied = new List(this.elements);
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        return `[${this.elements.map((x) => x.repr()).join(', ')}]`;
+    }
+}
+
+class Dict extends Value {
+    static typeName = 'map';
+
+    constructor(entries) {
+        super();
+        this.entries = entries;
+    }
+
+    static keyOf(key) {
+        if (key instanceof Number) return `number:${key.value}`;
+        if (key instanceof String) return `string:${key.value}`;
+        return null;
+    }
+
+    getIndex(key) {
+        const error = this.checkKey(key);
+        if (error !== null) return [null, error];
+
+        const entry = this.entries.get(Dict.keyOf(key));
+        if (entry === undefined)
+            return [
+                null,
+                new RuntimeError(
+                    key.start,
+                    key.end,
+                    `Key ${key.repr()} not found`,
+                    this.context
+                ),
+            ];
+        return [entry[1], null];
+    }
+
+    setIndex(key, value) {
+        const error = this.checkKey(key);
+        if (error !== null) return [null, error];
+
+        this.entries.set(Dict.keyOf(key), [key, value]);
+        return [value, null];
+    }
+
+    has(key) {
+        const error = this.checkKey(key);
+        if (error !== null) return [null, error];
+        return [this.entries.has(Dict.keyOf(key)), null];
+    }
+
+    checkKey(key) {
+        if (Dict.keyOf(key) !== null) return null;
+        return new RuntimeError(
+            key.start,
+            key.end,
+            'Map keys must be strings or numbers',
+            this.context
+        );
+    }
+
+    equals(other) {
+        if (!(other instanceof Dict)) return false;
+        if (this.entries === other.entries) return true;
+        if (this.entries.size !== other.entries.size) return false;
+
+        for (const [keyOf, [, value]] of this.entries) {
+            const entry = other.entries.get(keyOf);
+            if (entry === undefined || !value.equals(entry[1])) return false;
+        }
+        return true;
+    }
+
+    isTrue() {
+        return this.entries.size > 0;
+    }
+
+    iterate() {
+        return [new Iterator([...this.entries.values()], ([key]) => key), null];
+    }
+
+    copy() {
+        let copied = new Dict(this.entries);
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        const entries = [...this.entries.values()].map(
+            ([key, value]) => `${key.repr()}: ${value.repr()}`
+        );
+        return `{${entries.join(', ')}}`;
+    }
+}
+
+class Range extends Sequence {
+    static typeName = 'range';
+
+    // Bounds are named from/to so they don't shadow the start/end positions.
+    constructor(from, to, step) {
+        super();
+        this.from = from;
+        this.to = to;
+        this.step = step;
+    }
+
+    *values() {
+        const [to, step] = [BigInt(this.to), BigInt(this.step)];
+        for (let i = BigInt(this.from); step > 0 ? i < to : i > to; i += step)
+            yield new Number(toInt(i)).setContext(this.context);
+    }
+
+    length() {
+        const [from, to, step] = [this.from, this.to, this.step].map(BigInt);
+        const length = (to - from + step - (step > 0 ? 1n : -1n)) / step;
+        return toInt(length > 0 ? length : 0n);
+    }
+
+    itemAt(position) {
+        return new Number(
+            toInt(BigInt(this.from) + BigInt(position) * BigInt(this.step))
+        ).setContext(this.context);
+    }
+
+    slice(start, stop, step) {
+        const [from, by] = [BigInt(this.from), BigInt(this.step)];
+        return new Range(
+            toInt(from + BigInt(start) * by),
+            toInt(from + BigInt(stop) * by),
+            toInt(by * BigInt(step))
+        );
+    }
+
+    iterate() {
+        return [new Iterator(this.values()), null];
+    }
+
+    equals(other) {
+        return (
+            other instanceof Range &&
+            this.from == other.from &&
+            this.to == other.to &&
+            this.step == other.step
+        );
+    }
+
+    isTrue() {
+        return this.length() !== 0;
+    }
+
+    copy() {
+        let copied = new Range(this.from, this.to, this.step);
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        return `RANGE(${this.from}, ${this.to}, ${this.step})`;
+    }
+}
+
+// The bounds of a subscript like xs[a:b:step]. Missing bounds are null and
+// are filled in against the length of the sequence being sliced.
+class Slice extends Value {
+    static typeName = 'slice';
+
+    constructor(lower, upper, step) {
+        super();
+        this.lower = lower;
+        this.upper = upper;
+        this.step = step;
+    }
+
+    // Resolves the bounds for a sequence of the given length into in-range
+    // start, stop and step positions, clamping as Python does.
+    indices(length) {
+        const bounds = [this.lower, this.upper, this.step];
+        for (const bound of bounds)
+            if (
+                bound !== null &&
+                !(bound instanceof Null) &&
+                !(bound instanceof Number && bound.type === INT)
+            )
+                return [
+                    null,
+                    new RuntimeError(
+                        bound.start,
+                        bound.end,
+                        'Slice indices must be integers or NULL',
+                        this.context
+                    ),
+                ];
+
+        const [lower, upper, step] = bounds.map((bound) =>
+            bound === null || bound instanceof Null
+                ? null
+                : globalThis.Number(bound.value)
+        );
+        if (step === 0)
+            return [
+                null,
+                new RuntimeError(
+                    this.step.start,
+                    this.step.end,
+                    'Slice step cannot be zero',
+                    this.context
+                ),
+            ];
+
+        const by = step ?? 1;
+        const [first, last] = by > 0 ? [0, length] : [-1, length - 1];
+        const clamp = (position, fallback) => {
+            if (position === null) return fallback;
+            if (position < 0) return Math.max(position + length, first);
+            return Math.min(position, last);
+        };
+        return [
+            [
+                clamp(lower, by > 0 ? first : last),
+                clamp(upper, by > 0 ? last : first),
+                by,
+            ],
+            null,
+        ];
+    }
+
+    copy() {
+        let copied = new Slice(this.lower, this.upper, this.step);
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        const bounds = [this.lower, this.upper, this.step];
+        return bounds.map((bound) => bound?.repr() ?? '').join(':');
+    }
+}
+
+class ErrorValue extends Value {
+    static typeName = 'error';
+
+    constructor(error) {
+        super();
+        this.error = error;
+    }
+
+    fields() {
+        return new Map([
+            ['name', new String(this.error.name)],
+            ['details', new String(this.error.details)],
+            ['line', new Number(this.error.start.ln + 1)],
+            ['column', new Number(this.error.start.col + 1)],
+            ['traceback', new String(this.error.traceback())],
+        ]);
+    }
+
+    getIndex(field) {
+        const value =
+            field instanceof String
+                ? this.fields().get(field.value)
+                : undefined;
+        if (value === undefined)
+            return [
+                null,
+                new RuntimeError(
+                    field.start,
+                    field.end,
+                    `Error has no field ${field.repr()}`,
+                    this.context
+                ),
+            ];
+        return [value.setContext(this.context), null];
+    }
+
+    getAttr(name) {
+        return this.getIndex(name);
+    }
+
+    equals(other) {
+        return other instanceof ErrorValue && this.error === other.error;
+    }
+
+    copy() {
+        let copied = new ErrorValue(this.error);
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        return `${this.error.name}: ${this.error.details}`;
+    }
+}
+
+class BaseFunction extends Value {
+    static typeName = 'function';
+
+    constructor(name, argNames) {
+        super();
+        this.name = name || '<anonymous>';
+        this.argNames = argNames;
+        this.minArgs = argNames.length;
+    }
+
+    newContext(parentTable = null) {
+        const ctx = new Context(this.name, this.context, this.start);
+        return ctx.setTable(new SymbolTable(parentTable));
+    }
+
+    checkArgs(args, ctx = this.context) {
+        const [min, max] = [this.minArgs, this.argNames.length];
+        if (args.length >= min && args.length <= max) return null;
+        return new RuntimeError(
+            this.start,
+            this.end,
+            `'${this.name}' takes ${
+                min === max ? max : `${min} to ${max}`
+            } argument(s) but ${args.length} were given`,
+            ctx
+        );
+    }
+
+    populateArgs(args, ctx) {
+        args.forEach((arg, i) =>
+            ctx.symbolTable.set(this.argNames[i], arg.setContext(ctx))
+        );
+    }
+}
+
+class Function extends BaseFunction {
+    constructor(
+        name,
+        body,
+        argNames,
+        shouldAutoReturn,
+        closure,
+        isGenerator = false
+    ) {
+        super(name, argNames);
+        this.body = body;
+        this.shouldAutoReturn = shouldAutoReturn;
+        this.closure = closure;
+        this.isGenerator = isGenerator;
+    }
+
+    execute(args) {
+        const res = new RTResult();
+        const interpreter = new Interpreter();
+        const ctx = this.newContext(this.closure);
+
+        const error = this.checkArgs(args);
+        if (error !== null) return res.failure(error);
+        this.populateArgs(args, ctx);
+
+        if (this.isGenerator)
+            return res.success(
+                new Generator(this.name, interpreter.traverse(this.body, ctx))
+                    .setContext(this.context)
+                    .setPos(this.start, this.end)
+            );
+
+        let value;
+        try {
+            value = res.register(interpreter.evaluate(this.body, ctx));
+        } catch (e) {
+            if (!isStackOverflow(e)) throw e;
+            return res.failure(
+                recursionError(this.start, this.end, this.context)
+            );
+        }
+        if (res.shouldReturn() && !res.funcShouldReturn) return res;
+
+        if (res.funcShouldReturn) return res.success(res.funcReturnValue);
+        return res.success(
+            this.shouldAutoReturn ? value : new Null().setContext(ctx)
+        );
+    }
+
+    equals(other) {
+        return (
+            other instanceof Function &&
+            this.body === other.body &&
+            this.closure === other.closure
+        );
+    }
+
+    copy() {
+        let copied = new Function(
+            this.name,
+            this.body,
+            this.argNames,
+            this.shouldAutoReturn,
+            this.closure,
+            this.isGenerator
+        );
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        return `<function ${this.name}>`;
+    }
+}
+
+class Generator extends Value {
+    static typeName = 'generator';
+
+    // Copies share the suspended body so every reference advances it.
+    constructor(name, frames, state = { running: false, done: false }) {
+        super();
+        this.name = name;
+        this.frames = frames;
+        this.state = state;
+    }
+
+    next() {
+        const res = new RTResult();
+        if (this.state.done) return res.success(null);
+        if (this.state.running)
+            return res.failure(
+                new RuntimeError(
+                    this.start,
+                    this.end,
+                    `Generator '${this.name}' is already running`,
+                    this.context
+                )
+            );
+
+        this.state.running = true;
+        let step;
+        try {
+            step = this.frames.next();
+        } catch (e) {
+            // A JS exception such as a stack overflow closes the body for good.
+            this.state.done = true;
+            throw e;
+        } finally {
+            this.state.running = false;
+        }
+        if (!step.done) return res.success(step.value);
+
+        this.state.done = true;
+        res.register(step.value);
+        if (res.error !== null) return res;
+        return res.success(null);
+    }
+
+    iterate() {
+        return [this, null];
+    }
+
+    equals(other) {
+        return other instanceof Generator && this.frames === other.frames;
+    }
+
+    copy() {
+        let copied = new Generator(this.name, this.frames, this.state);
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        return `<generator ${this.name}>`;
+    }
+}
+
+class BuiltInFunction extends BaseFunction {
+    // Arguments past minArgs are optional and reach fn as undefined.
+    constructor(name, argNames, argTypes, fn, minArgs = argNames.length) {
+        super(name, argNames);
+        this.argTypes = argTypes;
+        this.fn = fn;
+        this.minArgs = minArgs;
+    }
+
+    // Argument errors are reported from the builtin's own frame, like the
+    // errors its body raises.
+    checkArgs(args, ctx) {
+        const error = super.checkArgs(args, ctx);
+        if (error !== null) return error;
+
+        for (let i = 0; i < args.length; i++) {
+            const types = this.argTypes[i];
+            if (types === null || types.some((type) => args[i] instanceof type))
+                continue;
+
+            const names = types.map((type) => type.typeName);
+            const expected =
+                names.length > 1
+                    ? `${names.slice(0, -1).join(', ')} or ${names.at(-1)}`
+                    : names[0];
+            return new RuntimeError(
+                this.start,
+                this.end,
+                `'${this.name}' expects '${this.argNames[i]}' to be a ${expected}, got ${args[i].constructor.typeName}`,
+                ctx
+            );
+        }
+
+        return null;
+    }
+
+    execute(args) {
+        const res = new RTResult();
+        const ctx = this.newContext();
+
+        const error = this.checkArgs(args, ctx);
+        if (error !== null) return res.failure(error);
+        this.populateArgs(args, ctx);
+
+        const value = res.register(this.fn.call(this, ctx, ...args));
+        if (res.error !== null) return res;
+        return res.success(value);
+    }
+
+    equals(other) {
+        return other instanceof BuiltInFunction && this.fn === other.fn;
+    }
+
+    copy() {
+        let copied = new BuiltInFunction(
+            this.name,
+            this.argNames,
+            this.argTypes,
+            this.fn,
+            this.minArgs
+        );
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        return `<built-in function ${this.name}>`;
+    }
+}
+
+class Module extends Value {
+    static typeName = 'module';
+
+    constructor(name, symbolTable) {
+        super();
+        this.name = name;
+        this.symbolTable = symbolTable;
+    }
+
+    getAttr(name) {
+        const value = this.symbolTable.symbols.get(name.value);
+        if (value === undefined)
+            return [
+                null,
+                new RuntimeError(
+                    name.start,
+                    name.end,
+                    `Module "${this.name}" has no attribute '${name.value}'`,
+                    this.context
+                ),
+            ];
+        return [value, null];
+    }
+
+    equals(other) {
+        return (
+            other instanceof Module && this.symbolTable === other.symbolTable
+        );
+    }
+
+    copy() {
+        let copied = new Module(this.name, this.symbolTable);
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        return `<module ${this.name}>`;
+    }
+}
+
+class Class extends BaseFunction {
+    static typeName = 'class';
+
+    constructor(name, fieldNames, methods, parent) {
+        super(name, fieldNames);
+        this.methods = methods;
+        this.parent = parent;
+    }
+
+    findMethod(name) {
+        for (let cls = this; cls !== null; cls = cls.parent)
+            if (cls.methods.has(name)) return [cls.methods.get(name), cls];
+        return [null, null];
+    }
+
+    execute(args) {
+        const res = new RTResult();
+
+        const error = this.checkArgs(args);
+        if (error !== null) return res.failure(error);
+
+        const fields = new Map(
+            this.argNames.map((fieldName, i) => [fieldName, args[i]])
+        );
+        return res.success(
+            new Instance(this, fields)
+                .setContext(this.context)
+                .setPos(this.start, this.end)
+        );
+    }
+
+    equals(other) {
+        return other instanceof Class && this.methods === other.methods;
+    }
+
+    copy() {
+        let copied = new Class(
+            this.name,
+            this.argNames,
+            this.methods,
+            this.parent
+        );
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        return `<class ${this.name}>`;
+    }
+}
+
+class BoundMethod extends BaseFunction {
+    constructor(instance, method, owner) {
+        super(`${owner.name}.${method.name}`, method.argNames);
+        this.instance = instance;
+        this.method = method;
+        this.owner = owner;
+    }
+
+    execute(args) {
+        // SUPER resolves from the class that defined the method, not from the
+        // instance's class, so overridden methods can chain upwards.
+        const table = new SymbolTable(this.method.closure);
+        table.set('SELF', this.instance);
+        table.set('SUPER', new Super(this.instance, this.owner));
+
+        return new Function(
+            this.name,
+            this.method.body,
+            this.argNames,
+            this.method.shouldAutoReturn,
+            table,
+            this.method.isGenerator
+        )
+            .setContext(this.context)
+            .setPos(this.start, this.end)
+            .execute(args);
+    }
+
+    equals(other) {
+        return (
+            other instanceof BoundMethod &&
+            this.method.equals(other.method) &&
+            this.instance.equals(other.instance)
+        );
+    }
+
+    copy() {
+        let copied = new BoundMethod(this.instance, this.method, this.owner);
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        return `<method ${this.name}>`;
+    }
+}
+
+class Instance extends Value {
+    static typeName = 'instance';
+
+    constructor(cls, fields) {
+        super();
+        this.cls = cls;
+        this.fields = fields;
+    }
+
+    getAttr(name) {
+        if (this.fields.has(name.value))
+            return [this.fields.get(name.value), null];
+
+        const [method, owner] = this.cls.findMethod(name.value);
+        if (method !== null)
+            return [
+                new BoundMethod(this, method, owner).setContext(this.context),
+                null,
+            ];
+
+        return [
+            null,
+            new RuntimeError(
+                name.start,
+                name.end,
+                `'${this.cls.name}' instance has no attribute '${name.value}'`,
+                this.context
+            ),
+        ];
+    }
+
+    setAttr(name, value) {
+        this.fields.set(name.value, value);
+        return [value, null];
+    }
+
+    // Classes join the iteration protocol by defining iter(), which returns
+    // the iterable to step through; writing it with YIELD makes a generator.
+    iterate() {
+        const [method, owner] = this.cls.findMethod('iter');
+        if (method === null) return super.iterate();
+
+        const res = new BoundMethod(this, method, owner)
+            .setContext(this.context)
+            .setPos(this.start, this.end)
+            .execute([]);
+        if (res.error !== null) return [null, res.error];
+        return res.value.iterate();
+    }
+
+    equals(other) {
+        return other instanceof Instance && this.fields === other.fields;
+    }
+
+    copy() {
+        let copied = new Instance(this.cls, this.fields);
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        const fields = [...this.fields].map(
+            ([name, value]) => `${name}=${value.repr()}`
+        );
+        return `${this.cls.name}(${fields.join(', ')})`;
+    }
+}
+
+class Super extends Value {
+    static typeName = 'super';
+
+    constructor(instance, owner) {
+        super();
+        this.instance = instance;
+        this.owner = owner;
+    }
+
+    getAttr(name) {
+        const parent = this.owner.parent;
+        const [method, owner] =
+            parent !== null ? parent.findMethod(name.value) : [null, null];
+        if (method === null)
+            return [
+                null,
+                new RuntimeError(
+                    name.start,
+                    name.end,
+                    parent !== null
+                        ? `'${parent.name}' has no method '${name.value}'`
+                        : `'${this.owner.name}' has no parent class`,
+                    this.context
+                ),
+            ];
+
+        return [
+            new BoundMethod(this.instance, method, owner).setContext(
+                this.context
+            ),
+            null,
+        ];
+    }
+
+    copy() {
+        let copied = new Super(this.instance, this.owner);
+        copied.setPos(this.start, this.end);
+        copied.setContext(this.context);
+        return copied;
+    }
+
+    toString() {
+        return `<super of ${this.owner.name}>`;
+    }
+}
+
 /*
-PRIMITIVES
+RUNTIME RESULT
 */
-class Number {
-    constructor(value) {
+class RTResult {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.error = null;
+        this.funcShouldReturn = false;
+        this.funcReturnValue = null;
+        this.loopShouldContinue = false;
+        this.loopShouldBreak = false;
+    }
+
+    register(res) {
+        this.error = res.error;
+        this.funcShouldReturn = res.funcShouldReturn;
+        this.funcReturnValue = res.funcReturnValue;
+        this.loopShouldContinue = res.loopShouldContinue;
+        this.loopShouldBreak = res.loopShouldBreak;
+        return res.value;
+    }
+
+    success(value) {
+        this.reset();
         this.value = value;
-        this.setPos();
-        this.setContext();
+        return this;
+    }
+
+    successReturn(value) {
+        this.reset();
+        this.funcShouldReturn = true;
+        this.funcReturnValue = value;
+        return this;
+    }
+
+    successContinue() {
+        this.reset();
+        this.loopShouldContinue = true;
+        return this;
+    }
+
+    successBreak() {
+        this.reset();
+        this.loopShouldBreak = true;
+        return this;
+    }
+
+    failure(error) {
+        this.reset();
+        this.error = error;
+        return this;
+    }
+
+    shouldReturn() {
+        return (
+            this.error !== null ||
+            this.funcShouldReturn ||
+            this.loopShouldContinue ||
+            this.loopShouldBreak
+        );
+    }
+}
+
+/*
+SYMBOL TABLE
+*/
+class SymbolTable {
+    constructor(parent = null) {
+        this.symbols = new Map();
+        this.constants = new Map();
+        this.parent = parent;
+    }
+
+    get(varName) {
+        let value = this.symbols.get(varName);
+        if (value === undefined && this.parent !== null)
+            return this.parent.get(varName);
+        return value;
+    }
+
+    // Binds varName unless it names a constant, in which case nothing changes
+    // and the position the constant was declared at is returned instead. The
+    // declaration itself may run again, as it does in a loop body.
+    set(varName, value, declaredAt = null) {
+        const constant = this.constants.get(varName);
+        if (constant !== undefined && constant !== declaredAt) return constant;
+
+        this.symbols.set(varName, value);
+        if (declaredAt !== null) this.constants.set(varName, declaredAt);
+        return null;
+    }
+
+    resolve(varName) {
+        if (this.symbols.has(varName)) return this;
+        return this.parent !== null ? this.parent.resolve(varName) : null;
+    }
+
+    // The outermost table below the shared builtins: the globals of the
+    // running program or module.
+    globals() {
+        if (this.parent === null || this.parent.parent === null) return this;
+        return this.parent.globals();
+    }
+
+    remove(varName) {
+        this.symbols.delete(varName);
+        this.constants.delete(varName);
+    }
+}
+
+// Binds a loop variable for a single iteration so closures created in the
+// body keep that iteration's value. Every other binding, constants included,
+// lives in the enclosing table.
+class LoopScope extends SymbolTable {
+    constructor(parent, varName, value) {
+        super(parent);
+        this.varName = varName;
+        this.constants = parent.constants;
+        this.symbols.set(varName, value);
+    }
+
+    set(varName, value, declaredAt = null) {
+        if (varName !== this.varName)
+            return this.parent.set(varName, value, declaredAt);
+        this.symbols.set(varName, value);
+        return null;
+    }
+}
+
+/*
+INTERPRETER
+*/
+// Every traverse* method is a generator so a YIELD can suspend evaluation
+// anywhere in a body. Nodes evaluate to an RTResult returned from the
+// generator; the only values it yields are those produced by YIELD.
+class Interpreter {
+    evaluate(node, ctx) {
+        const frames = this.traverse(node, ctx);
+        let step = frames.next();
+        while (!step.done) step = frames.next();
+        return step.value;
+    }
+
+    traverse(node, ctx) {
+        if (node instanceof NumberNode)
+            return this.traverseNumberNode(node, ctx);
+        if (node instanceof StringNode)
+            return this.traverseStringNode(node, ctx);
+        if (node instanceof BooleanNode)
+            return this.traverseBooleanNode(node, ctx);
+        if (node instanceof NullNode) return this.traverseNullNode(node, ctx);
+        if (node instanceof ListNode) return this.traverseListNode(node, ctx);
+        if (node instanceof ListCompNode)
+            return this.traverseListCompNode(node, ctx);
+        if (node instanceof DictNode) return this.traverseDictNode(node, ctx);
+        if (node instanceof IndexNode) return this.traverseIndexNode(node, ctx);
+        if (node instanceof SliceNode) return this.traverseSliceNode(node, ctx);
+        if (node instanceof IndexAssignNode)
+            return this.traverseIndexAssignNode(node, ctx);
+        if (node instanceof AttrNode) return this.traverseAttrNode(node, ctx);
+        if (node instanceof AttrAssignNode)
+            return this.traverseAttrAssignNode(node, ctx);
+        if (node instanceof UnaryOpNode)
+            return this.traverseUnaryOpNode(node, ctx);
+        if (node instanceof BinaryOpNode)
+            return this.traverseBinaryOpNode(node, ctx);
+        if (node instanceof CompareNode)
+            return this.traverseCompareNode(node, ctx);
+        if (node instanceof LogicalOpNode)
+            return this.traverseLogicalOpNode(node, ctx);
+        if (node instanceof VariableAssignNode)
+            return this.traverseVariableAssignNode(node, ctx);
+        if (node instanceof VariableReassignNode)
+            return this.traverseVariableReassignNode(node, ctx);
+        if (node instanceof VariableNode)
+            return this.traverseVariableNode(node, ctx);
+        if (node instanceof IfStatementNode)
+            return this.traverseIfStatementNode(node, ctx);
+        if (node instanceof ForNode) return this.traverseForNode(node, ctx);
+        if (node instanceof ForInNode) return this.traverseForInNode(node, ctx);
+        if (node instanceof WhileNode) return this.traverseWhileNode(node, ctx);
+        if (node instanceof FuncDefNode)
+            return this.traverseFuncDefNode(node, ctx);
+        if (node instanceof ClassDefNode)
+            return this.traverseClassDefNode(node, ctx);
+        if (node instanceof CallNode) return this.traverseCallNode(node, ctx);
+        if (node instanceof ReturnNode)
+            return this.traverseReturnNode(node, ctx);
+        if (node instanceof ContinueNode)
+            return this.traverseContinueNode(node, ctx);
+        if (node instanceof BreakNode) return this.traverseBreakNode(node, ctx);
+        if (node instanceof YieldNode) return this.traverseYieldNode(node, ctx);
+        if (node instanceof ThrowNode) return this.traverseThrowNode(node, ctx);
+        if (node instanceof TryNode) return this.traverseTryNode(node, ctx);
+        if (node instanceof ImportNode)
+            return this.traverseImportNode(node, ctx);
+        return this.traverseNull(node, ctx);
+    }
+
+    *traverseNull(node, ctx) {
+        return null;
+    }
+
+    *traverseNumberNode(node, ctx) {
+        return new RTResult().success(
+            new Number(node.token.value, node.token.type)
+                .setContext(ctx)
+                .setPos(node.start, node.end)
+        );
+    }
+
+    *traverseStringNode(node, ctx) {
+        return new RTResult().success(
+            new String(node.token.value)
+                .setContext(ctx)
+                .setPos(node.start, node.end)
+        );
+    }
+
+    *traverseBooleanNode(node, ctx) {
+        return new RTResult().success(
+            new Boolean(node.token.value === 'TRUE')
+                .setContext(ctx)
+                .setPos(node.start, node.end)
+        );
+    }
+
+    *traverseNullNode(node, ctx) {
+        return new RTResult().success(
+            new Null().setContext(ctx).setPos(node.start, node.end)
+        );
+    }
+
+    *traverseListNode(node, ctx) {
+        const res = new RTResult();
+        let elements = [];
+
+        for (let elementNode of node.elementNodes) {
+            elements.push(res.register(yield* this.traverse(elementNode, ctx)));
+            if (res.shouldReturn()) return res;
+        }
+
+        return res.success(
+            new List(elements).setContext(ctx).setPos(node.start, node.end)
+        );
+    }
+
+    *traverseListCompNode(node, ctx) {
+        const res = new RTResult();
+        let elements = [];
+
+        res.register(yield* this.comprehend(node, 0, ctx, elements));
+        if (res.shouldReturn()) return res;
+
+        return res.success(
+            new List(elements).setContext(ctx).setPos(node.start, node.end)
+        );
+    }
+
+    // Runs the comprehension's clauses from clauseIndex onwards, each loop
+    // variable bound in its own LoopScope so none leak out of the brackets.
+    *comprehend(node, clauseIndex, ctx, elements) {
+        const res = new RTResult();
+
+        if (clauseIndex === node.clauses.length) {
+            elements.push(
+                res.register(yield* this.traverse(node.elementNode, ctx))
+            );
+            return res;
+        }
+
+        const [varName, iterableNode, conditions] = node.clauses[clauseIndex];
+        const iterable = res.register(yield* this.traverse(iterableNode, ctx));
+        if (res.shouldReturn()) return res;
+
+        const [iterator, error] = iterable.iterate();
+        if (error !== null) return res.failure(error);
+
+        while (true) {
+            const value = res.register(iterator.next());
+            if (res.shouldReturn()) return res;
+            if (value === null) break;
+
+            const scope = new LoopScope(ctx.symbolTable, varName.value, value);
+            const clauseCtx = new Context(
+                ctx.name,
+                ctx.parent,
+                ctx.parentPos
+            ).setTable(scope);
+
+            let included = true;
+            for (const condition of conditions) {
+                const cond = res.register(
+                    yield* this.traverse(condition, clauseCtx)
+                );
+                if (res.shouldReturn()) return res;
+                if (!cond.isTrue()) {
+                    included = false;
+                    break;
+                }
+            }
+            if (!included) continue;
+
+            res.register(
+                yield* this.comprehend(
+                    node,
+                    clauseIndex + 1,
+                    clauseCtx,
+                    elements
+                )
+            );
+            if (res.shouldReturn()) return res;
+        }
+
+        return res.success(null);
     }
 
-    setPos(start = null, end = null) {
-        this.start = start;
-        this.end = end;
-        return this;
+    *traverseDictNode(node, ctx) {
+        const res = new RTResult();
+        const dict = new Dict(new Map())
+            .setContext(ctx)
+            .setPos(node.start, node.end);
+
+        for (let [keyNode, valueNode] of node.entryNodes) {
+            const key = res.register(yield* this.traverse(keyNode, ctx));
+            if (res.shouldReturn()) return res;
+
+            const value = res.register(yield* this.traverse(valueNode, ctx));
+            if (res.shouldReturn()) return res;
+
+            const [, error] = dict.setIndex(key, value);
+            if (error !== null) return res.failure(error);
+        }
+
+        return res.success(dict);
     }
 
-    setContext(ctx) {
-        this.context = ctx;
-        return this;
+    *traverseIndexNode(node, ctx) {
+        const res = new RTResult();
+
+        let value = res.register(yield* this.traverse(node.node, ctx));
+        if (res.shouldReturn()) return res;
+        value = value.copy().setContext(ctx).setPos(node.start, node.end);
+
+        const index = res.register(yield* this.traverse(node.index, ctx));
+        if (res.shouldReturn()) return res;
+
+        const [element, error] = value.getIndex(index);
+        if (error !== null) return res.failure(error);
+        return res.success(element.copy().setPos(node.start, node.end));
     }
 
-    add(other) {
-        if (other instanceof Number)
-            return [
-                new Number(this.value + other.value).setContext(this.context),
-                null,
-            ];
+    *traverseSliceNode(node, ctx) {
+        const res = new RTResult();
+        let bounds = [];
+
+        for (const bound of [node.lower, node.upper, node.step]) {
+            bounds.push(
+                bound === null
+                    ? null
+                    : res.register(yield* this.traverse(bound, ctx))
+            );
+            if (res.shouldReturn()) return res;
+        }
+
+        return res.success(
+            new Slice(...bounds).setContext(ctx).setPos(node.start, node.end)
+        );
     }
 
-    subtract(other) {
-        if (other instanceof Number)
-            return [
-                new Number(this.value - other.value).setContext(this.context),
-                null,
-            ];
+    *traverseIndexAssignNode(node, ctx) {
+        const res = new RTResult();
+
+        let value = res.register(yield* this.traverse(node.node, ctx));
+        if (res.shouldReturn()) return res;
+        value = value.copy().setContext(ctx).setPos(node.start, node.end);
+
+        const index = res.register(yield* this.traverse(node.index, ctx));
+        if (res.shouldReturn()) return res;
+
+        let newValue = res.register(yield* this.traverse(node.value, ctx));
+        if (res.shouldReturn()) return res;
+
+        if (node.op !== null) {
+            let [current, error] = value.getIndex(index);
+            if (error !== null) return res.failure(error);
+
+            current = current.copy().setPos(node.start, node.end);
+            [newValue, error] = this.binaryOp(current, node.op, newValue);
+            if (error !== null) return res.failure(error);
+        }
+
+        const [element, error] = value.setIndex(index, newValue);
+        if (error !== null) return res.failure(error);
+        return res.success(element);
     }
 
-    multiply(other) {
-        if (other instanceof Number)
-            return [
-                new Number(this.value * other.value).setContext(this.context),
-                null,
-            ];
+    *traverseAttrNode(node, ctx) {
+        const res = new RTResult();
+
+        let value = res.register(yield* this.traverse(node.node, ctx));
+        if (res.shouldReturn()) return res;
+        value = value.copy().setContext(ctx).setPos(node.start, node.end);
+
+        const [attr, error] = value.getAttr(this.attrName(node, ctx));
+        if (error !== null) return res.failure(error);
+        return res.success(attr.copy().setPos(node.start, node.end));
     }
 
-    divide(other) {
-        if (other instanceof Number) {
-            if (other.value === 0)
-                return [
-                    null,
-                    new RuntimeError(
-                        other.start,
-                        other.end,
-                        'Division by zero',
-                        this.context
-                    ),
-                ];
-            return [
-                new Number(this.value / other.value).setContext(this.context),
-                null,
-            ];
+    *traverseAttrAssignNode(node, ctx) {
+        const res = new RTResult();
+        const name = this.attrName(node, ctx);
+
+        let value = res.register(yield* this.traverse(node.node, ctx));
+        if (res.shouldReturn()) return res;
+        value = value.copy().setContext(ctx).setPos(node.start, node.end);
+
+        let newValue = res.register(yield* this.traverse(node.value, ctx));
+        if (res.shouldReturn()) return res;
+
+        if (node.op !== null) {
+            let [current, error] = value.getAttr(name);
+            if (error !== null) return res.failure(error);
+
+            current = current.copy().setPos(node.start, node.end);
+            [newValue, error] = this.binaryOp(current, node.op, newValue);
+            if (error !== null) return res.failure(error);
         }
+
+        const [attr, error] = value.setAttr(name, newValue);
+        if (error !== null) return res.failure(error);
+        return res.success(attr);
     }
 
-    pow(other) {
-        if (other instanceof Number) {
-            return [
-                new Number(Math.pow(this.value, other.value)).setContext(
-                    this.context
-                ),
-                null,
-            ];
-        }
+    attrName(node, ctx) {
+        return new String(node.name.value)
+            .setContext(ctx)
+            .setPos(node.name.start, node.name.end);
     }
 
-    getCompEq(other) {
-        if (other instanceof Number) {
-            return [
-                new Number(+(this.value === other.value)).setContext(
-                    this.context
-                ),
-                null,
-            ];
-        }
+    *traverseVariableNode(node, ctx) {
+        let res = new RTResult();
+        const varName = node.tokenID.value;
+        let value = ctx.symbolTable.get(varName);
+
+        if (value === undefined)
+            return res.failure(
+                new RuntimeError(
+                    node.start,
+                    node.end,
+                    `'${varName}' is not defined`,
+                    ctx
+                )
+            );
+
+        value = value.copy().setContext(ctx).setPos(node.start, node.end);
+        return res.success(value);
     }
 
-    getCompNe(other) {
-        if (other instanceof Number) {
-            return [
-                new Number(+(this.value !== other.value)).setContext(
-                    this.context
-                ),
-                null,
-            ];
-        }
+    *traverseVariableAssignNode(node, ctx) {
+        let res = new RTResult();
+        const varName = node.tokenID.value;
+        let value = res.register(yield* this.traverse(node.value, ctx));
+        if (res.shouldReturn()) return res;
+
+        const error = this.bind(
+            ctx.symbolTable,
+            varName,
+            value,
+            node,
+            ctx,
+            node.isConst ? node.start : null
+        );
+        if (error !== null) return res.failure(error);
+        return res.success(value);
     }
 
-    getCompLt(other) {
-        if (other instanceof Number) {
-            return [
-                new Number(+(this.value < other.value)).setContext(
-                    this.context
-                ),
-                null,
-            ];
+    *traverseVariableReassignNode(node, ctx) {
+        const res = new RTResult();
+        const varName = node.tokenID.value;
+        const value = res.register(yield* this.traverse(node.value, ctx));
+        if (res.shouldReturn()) return res;
+
+        let table = ctx.symbolTable.resolve(varName);
+        // Builtins are shared by every run and module, so rebinding one only
+        // shadows it in the current program.
+        if (table === BUILTIN_TABLE) table = ctx.symbolTable.globals();
+        if (table === null)
+            return res.failure(
+                new RuntimeError(
+                    node.tokenID.start,
+                    node.tokenID.end,
+                    `'${varName}' is not defined`,
+                    ctx
+                )
+            );
+
+        const error = this.bind(table, varName, value, node, ctx);
+        if (error !== null) return res.failure(error);
+        return res.success(value);
+    }
+
+    // Every binding goes through here so no form of definition can replace a
+    // constant. node gives the position to report the failure at.
+    bind(table, varName, value, node, ctx, declaredAt = null) {
+        const constant = table.set(varName, value, declaredAt);
+        if (constant === null) return null;
+
+        return new RuntimeError(
+            node.start,
+            node.end,
+            `Cannot reassign constant '${varName}' declared in ${
+                constant.fileName
+            }, line ${constant.ln + 1}, column ${constant.col + 1}`,
+            ctx
+        );
+    }
+
+    *traverseBinaryOpNode(node, ctx) {
+        let rtRes = new RTResult();
+        let left = rtRes.register(yield* this.traverse(node.left, ctx));
+        if (rtRes.shouldReturn()) return rtRes;
+        let right = rtRes.register(yield* this.traverse(node.right, ctx));
+        if (rtRes.shouldReturn()) return rtRes;
+
+        const [res, error] = this.binaryOp(left, node.op, right);
+        if (error) return rtRes.failure(error);
+        return rtRes.success(res.setPos(node.start, node.end));
+    }
+
+    binaryOp(left, op, right) {
+        if (op.type === PLUS) return left.add(right);
+        if (op.type === MINUS) return left.subtract(right);
+        if (op.type === MUL) return left.multiply(right);
+        if (op.type === DIV) return left.divide(right);
+        if (op.type === FLOORDIV) return left.floorDivide(right);
+        if (op.type === MOD) return left.modulo(right);
+        if (op.type === POW) return left.pow(right);
+        if (op.type === BITAND) return left.bitAnd(right);
+        if (op.type === BITOR) return left.bitOr(right);
+        if (op.type === LSHIFT) return left.shiftLeft(right);
+        if (op.type === RSHIFT) return left.shiftRight(right);
+        return left.bitXor(right);
+    }
+
+    *traverseCompareNode(node, ctx) {
+        const rtRes = new RTResult();
+        let left = rtRes.register(yield* this.traverse(node.operands[0], ctx));
+        if (rtRes.shouldReturn()) return rtRes;
+        let [res, error] = [null, null];
+
+        // Each operand is evaluated once and the chain stops at the first
+        // false comparison, so `a < b < c` means `a < b AND b < c`.
+        for (let i = 0; i < node.ops.length; i++) {
+            const right = rtRes.register(
+                yield* this.traverse(node.operands[i + 1], ctx)
+            );
+            if (rtRes.shouldReturn()) return rtRes;
+
+            const op = node.ops[i];
+            if (op.type === EQ) [res, error] = left.getCompEq(right);
+            if (op.type === NE) [res, error] = left.getCompNe(right);
+            if (op.type === LT) [res, error] = left.getCompLt(right);
+            if (op.type === LTE) [res, error] = left.getCompLte(right);
+            if (op.type === GT) [res, error] = left.getCompGt(right);
+            if (op.type === GTE) [res, error] = left.getCompGte(right);
+
+            if (error) return rtRes.failure(error);
+            if (!res.isTrue()) break;
+            left = right;
         }
+
+        return rtRes.success(res.setPos(node.start, node.end));
     }
 
-    getCompLte(other) {
-        if (other instanceof Number) {
-            return [
-                new Number(+(this.value <= other.value)).setContext(
-                    this.context
-                ),
-                null,
-            ];
+    *traverseLogicalOpNode(node, ctx) {
+        const res = new RTResult();
+        const left = res.register(yield* this.traverse(node.left, ctx));
+        if (res.shouldReturn()) return res;
+
+        const isAnd = node.op.equals(new Token(KEYWORD, 'AND'));
+        if (isAnd !== left.isTrue()) return res.success(left);
+
+        const right = res.register(yield* this.traverse(node.right, ctx));
+        if (res.shouldReturn()) return res;
+        return res.success(right);
+    }
+
+    *traverseUnaryOpNode(node, ctx) {
+        let [rtRes, error] = [new RTResult(), null];
+        let num = rtRes.register(yield* this.traverse(node.node, ctx));
+        if (rtRes.shouldReturn()) return rtRes;
+
+        if (node.op.type === MINUS) [num, error] = num.negative();
+        if (node.op.type === BITNOT) [num, error] = num.bitNot();
+        if (node.op.equals(new Token(KEYWORD, 'NOT')))
+            [num, error] = num.negate();
+
+        if (error !== null) return rtRes.failure(error);
+        return rtRes.success(num.setPos(node.start, node.end));
+    }
+
+    *traverseIfStatementNode(node, ctx) {
+        const res = new RTResult();
+
+        for (let [cond, expr] of node.cases) {
+            cond = res.register(yield* this.traverse(cond, ctx));
+            if (res.shouldReturn()) return res;
+
+            if (cond.isTrue()) {
+                expr = res.register(yield* this.traverse(expr, ctx));
+                if (res.shouldReturn()) return res;
+                return res.success(expr);
+            }
+        }
+
+        if (node.elseCase !== null) {
+            let elseVal = res.register(
+                yield* this.traverse(node.elseCase, ctx)
+            );
+            if (res.shouldReturn()) return res;
+            return res.success(elseVal);
         }
+
+        return res.success(
+            new Null().setContext(ctx).setPos(node.start, node.end)
+        );
     }
 
-    getCompGt(other) {
-        if (other instanceof Number) {
-            return [
-                new Number(+(this.value > other.value)).setContext(
-                    this.context
-                ),
-                null,
-            ];
+    *traverseForNode(node, ctx) {
+        const res = new RTResult();
+
+        const startVal = res.register(yield* this.traverse(node.startVal, ctx));
+        if (res.shouldReturn()) return res;
+
+        const endVal = res.register(yield* this.traverse(node.endVal, ctx));
+        if (res.shouldReturn()) return res;
+
+        let stepVal = new Number(1);
+        if (node.stepVal !== null) {
+            stepVal = res.register(yield* this.traverse(node.stepVal, ctx));
+            if (res.shouldReturn()) return res;
+        }
+
+        for (const [value, role] of [
+            [startVal, 'start'],
+            [endVal, 'end'],
+            [stepVal, 'step'],
+        ])
+            if (!(value instanceof Number))
+                return res.failure(
+                    new RuntimeError(
+                        value.start,
+                        value.end,
+                        `'FOR' ${role} must be a number, got ${value.constructor.typeName}`,
+                        ctx
+                    )
+                );
+        if (stepVal.value == 0)
+            return res.failure(
+                new RuntimeError(
+                    stepVal.start,
+                    stepVal.end,
+                    "'FOR' step must not be zero",
+                    ctx
+                )
+            );
+
+        let i = startVal.value;
+        const inc = stepVal.value >= 0;
+        const type = startVal.resultType(stepVal);
+
+        while ((inc && i < endVal.value) || (!inc && i > endVal.value)) {
+            const error = this.bind(
+                ctx.symbolTable,
+                node.varName.value,
+                new Number(i, type),
+                node.varName,
+                ctx
+            );
+            if (error !== null) return res.failure(error);
+
+            const [next, stepError] = new Number(i, type).add(stepVal);
+            if (stepError !== null) return res.failure(stepError);
+            i = next.value;
+
+            res.register(yield* this.traverse(node.body, ctx));
+            if (
+                res.shouldReturn() &&
+                !res.loopShouldContinue &&
+                !res.loopShouldBreak
+            )
+                return res;
+            if (res.loopShouldBreak) break;
         }
+
+        return res.success(
+            new Null().setContext(ctx).setPos(node.start, node.end)
+        );
     }
 
-    getCompGte(other) {
-        if (other instanceof Number) {
-            return [
-                new Number(+(this.value >= other.value)).setContext(
-                    this.context
-                ),
-                null,
-            ];
+    *traverseForInNode(node, ctx) {
+        const res = new RTResult();
+
+        const iterable = res.register(yield* this.traverse(node.iterable, ctx));
+        if (res.shouldReturn()) return res;
+
+        const [iterator, error] = iterable.iterate();
+        if (error !== null) return res.failure(error);
+
+        while (true) {
+            const value = res.register(iterator.next());
+            if (res.shouldReturn()) return res;
+            if (value === null) break;
+
+            const scope = new LoopScope(
+                ctx.symbolTable,
+                node.varName.value,
+                value
+            );
+            const bodyCtx = new Context(
+                ctx.name,
+                ctx.parent,
+                ctx.parentPos
+            ).setTable(scope);
+
+            res.register(yield* this.traverse(node.body, bodyCtx));
+            if (
+                res.shouldReturn() &&
+                !res.loopShouldContinue &&
+                !res.loopShouldBreak
+            )
+                return res;
+            if (res.loopShouldBreak) break;
         }
+
+        return res.success(
+            new Null().setContext(ctx).setPos(node.start, node.end)
+        );
     }
 
-    getAnd(other) {
-        if (other instanceof Number) {
-            return [
-                new Number(+(this.value === 1 && other.value === 1)).setContext(
-                    this.context
-                ),
-                null,
-            ];
+    *traverseWhileNode(node, ctx) {
+        const res = new RTResult();
+
+        while (true) {
+            let cond = res.register(yield* this.traverse(node.condition, ctx));
+            if (res.shouldReturn()) return res;
+
+            if (!cond.isTrue()) break;
+
+            res.register(yield* this.traverse(node.body, ctx));
+            if (
+                res.shouldReturn() &&
+                !res.loopShouldContinue &&
+                !res.loopShouldBreak
+            )
+                return res;
+            if (res.loopShouldBreak) break;
         }
+
+        return res.success(
+            new Null().setContext(ctx).setPos(node.start, node.end)
+        );
     }
 
-    getOr(other) {
-        if (other instanceof Number) {
-            return [
-                new Number(+(this.value === 1 || other.value === 1)).setContext(
-                    this.context
-                ),
-                null,
-            ];
+    *traverseFuncDefNode(node, ctx) {
+        const res = new RTResult();
+        const func = this.makeFunction(node, ctx);
+
+        if (node.varName !== null) {
+            const error = this.bind(
+                ctx.symbolTable,
+                func.name,
+                func,
+                node.varName,
+                ctx
+            );
+            if (error !== null) return res.failure(error);
         }
+        return res.success(func);
     }
 
-    copy() {
-        let copied = new Number(this.value);
-        copied.setPos(this.start, this.end);
-        copied.setContext(this.context);
-        return copied;
+    makeFunction(node, ctx) {
+        const name = node.varName !== null ? node.varName.value : null;
+        const argNames = node.argNames.map((argName) => argName.value);
+        return new Function(
+            name,
+            node.body,
+            argNames,
+            node.shouldAutoReturn,
+            ctx.symbolTable,
+            node.isGenerator
+        )
+            .setContext(ctx)
+            .setPos(node.start, node.end);
     }
 
-    toString() {
-        return `${this.value}`;
-    }
-}
+    *traverseClassDefNode(node, ctx) {
+        const res = new RTResult();
+        let parent = null;
 
-/*
-RUNTIME RESULT
-*/
-class RTResult {
-    constructor() {
-        this.value = null;
-        this.error = null;
-    }
+        if (node.parentNode !== null) {
+            parent = res.register(yield* this.traverse(node.parentNode, ctx));
+            if (res.shouldReturn()) return res;
 
-    register(res) {
-        if (res.error) this.error = res.error;
-        return res.value;
-    }
+            if (!(parent instanceof Class))
+                return res.failure(
+                    new RuntimeError(
+                        node.parentNode.start,
+                        node.parentNode.end,
+                        `'${node.parentNode.tokenID.value}' is not a class`,
+                        ctx
+                    )
+                );
+        }
 
-    success(value) {
-        this.value = value;
-        return this;
+        const methods = new Map(
+            node.methods.map((method) => [
+                method.varName.value,
+                this.makeFunction(method, ctx),
+            ])
+        );
+        const cls = new Class(
+            node.name.value,
+            node.fieldNames.map((fieldName) => fieldName.value),
+            methods,
+            parent
+        )
+            .setContext(ctx)
+            .setPos(node.start, node.end);
+
+        const error = this.bind(ctx.symbolTable, cls.name, cls, node.name, ctx);
+        if (error !== null) return res.failure(error);
+        return res.success(cls);
     }
 
-    failure(error) {
-        this.error = error;
-        return this;
+    *traverseCallNode(node, ctx) {
+        const res = new RTResult();
+        let args = [];
+
+        const valueToCall = res.register(
+            yield* this.traverse(node.nodeToCall, ctx)
+        );
+        if (res.shouldReturn()) return res;
+
+        for (let argNode of node.argNodes) {
+            args.push(res.register(yield* this.traverse(argNode, ctx)));
+            if (res.shouldReturn()) return res;
+        }
+
+        return this.call(valueToCall, args, ctx, node.start, node.end);
     }
-}
 
-/*
-SYMBOL TABLE
-*/
-class SymbolTable {
-    constructor() {
-        this.symbols = new Map();
-        this.parent = null;
+    // Calls a value as though from ctx, which becomes the parent frame of the
+    // call. Builtins pass their own context so callbacks that fail trace back
+    // through them.
+    call(value, args, ctx, start, end) {
+        const res = new RTResult();
+        const callee = value.copy().setContext(ctx).setPos(start, end);
+
+        const result = res.register(callee.execute(args));
+        if (res.shouldReturn()) return res;
+        return res.success(result.copy().setPos(start, end));
     }
 
-    get(varName) {
-        let value = this.symbols.get(varName);
-        if (value === undefined && this.parent !== null)
-            return this.parent.get(varName);
-        return value;
+    *traverseReturnNode(node, ctx) {
+        const res = new RTResult();
+        let value = new Null().setContext(ctx).setPos(node.start, node.end);
+
+        if (node.nodeToReturn !== null) {
+            value = res.register(yield* this.traverse(node.nodeToReturn, ctx));
+            if (res.shouldReturn()) return res;
+        }
+
+        return res.successReturn(value);
     }
 
-    set(varName, value) {
-        this.symbols.set(varName, value);
+    *traverseContinueNode(node, ctx) {
+        return new RTResult().successContinue();
     }
 
-    remove(varName) {
-        this.symbols.delete(varName);
+    *traverseBreakNode(node, ctx) {
+        return new RTResult().successBreak();
     }
-}
 
-/*
-INTERPRETER
-*/
-class Interpreter {
-    traverse(node, ctx) {
-        if (node instanceof NumberNode)
-            return this.traverseNumberNode(node, ctx);
-        if (node instanceof UnaryOpNode)
-            return this.traverseUnaryOpNode(node, ctx);
-        if (node instanceof BinaryOpNode)
-            return this.traverseBinaryOpNode(node, ctx);
-        if (node instanceof VariableAssignNode)
-            return this.traverseVariableAssignNode(node, ctx);
-        if (node instanceof VariableNode)
-            return this.traverseVariableNode(node, ctx);
-        if (node instanceof IfStatementNode)
-            return this.traverseIfStatementNode(node, ctx);
-        if (node instanceof ForNode) return this.traverseForNode(node, ctx);
-        if (node instanceof WhileNode) return this.traverseWhileNode(node, ctx);
-        return this.traverseNull(node, ctx);
+    *traverseYieldNode(node, ctx) {
+        const res = new RTResult();
+        let value = new Null().setContext(ctx).setPos(node.start, node.end);
+
+        if (node.nodeToYield !== null) {
+            value = res.register(yield* this.traverse(node.nodeToYield, ctx));
+            if (res.shouldReturn()) return res;
+        }
+
+        yield value;
+        return res.success(
+            new Null().setContext(ctx).setPos(node.start, node.end)
+        );
     }
 
-    traverseNull(node, ctx) {
-        return null;
+    *traverseThrowNode(node, ctx) {
+        const res = new RTResult();
+        const value = res.register(yield* this.traverse(node.nodeToThrow, ctx));
+        if (res.shouldReturn()) return res;
+
+        // Rethrowing a caught error keeps its original traceback.
+        if (value instanceof ErrorValue) return res.failure(value.error);
+        return res.failure(
+            new RuntimeError(node.start, node.end, value.toString(), ctx)
+        );
     }
 
-    traverseNumberNode(node, ctx) {
-        return new RTResult().success(
-            new Number(node.token.value)
-                .setContext(ctx)
-                .setPos(node.start, node.end)
+    *traverseImportNode(node, ctx) {
+        const res = new RTResult();
+        const module = res.register(importModule(node, ctx));
+        if (res.shouldReturn()) return res;
+
+        const bindings =
+            node.alias !== null
+                ? [[node.alias.value, module.copy().setContext(ctx)]]
+                : [...module.symbolTable.symbols];
+
+        for (const [name, value] of bindings) {
+            // Modules are cached, so importing one again finds its names
+            // already bound to the very same values.
+            if (ctx.symbolTable.symbols.get(name) === value) continue;
+
+            const error = this.bind(
+                ctx.symbolTable,
+                name,
+                value,
+                node,
+                ctx,
+                node.alias === null
+                    ? module.symbolTable.constants.get(name) ?? null
+                    : null
+            );
+            if (error !== null) return res.failure(error);
+        }
+
+        return res.success(
+            new Null().setContext(ctx).setPos(node.start, node.end)
         );
     }
 
-    traverseVariableNode(node, ctx) {
-        let res = new RTResult();
-        const varName = node.tokenID.value;
-        let value = ctx.symbolTable.get(varName);
+    *traverseTryNode(node, ctx) {
+        const res = new RTResult();
+        let outcome = yield* this.traverse(node.body, ctx);
 
-        if (value === undefined)
-            return res.failure(
-                new RuntimeError(
-                    node.start,
-                    node.end,
-                    `'${varName}' is not defined`,
-                    ctx
-                )
+        if (outcome.error !== null && node.catchBody !== null) {
+            const error = new ErrorValue(outcome.error)
+                .setContext(ctx)
+                .setPos(node.errorName.start, node.errorName.end);
+            const bindError = this.bind(
+                ctx.symbolTable,
+                node.errorName.value,
+                error,
+                node.errorName,
+                ctx
             );
+            outcome =
+                bindError !== null
+                    ? new RTResult().failure(bindError)
+                    : yield* this.traverse(node.catchBody, ctx);
+        }
+
+        // An error, RETURN, BREAK or CONTINUE raised by FINALLY replaces
+        // whatever the TRY or CATCH body was doing.
+        if (node.finallyBody !== null) {
+            res.register(yield* this.traverse(node.finallyBody, ctx));
+            if (res.shouldReturn()) return res;
+        }
 
-        value = value.copy().setPos(node.start, node.end);
+        // Like IF, the TRY evaluates to whichever body ran to completion.
+        const value = res.register(outcome);
+        if (res.shouldReturn()) return res;
         return res.success(value);
     }
+}
 
-    traverseVariableAssignNode(node, ctx) {
-        let res = new RTResult();
-        const varName = node.tokenID.value;
-        let value = res.register(this.traverse(node.value, ctx));
-        if (res.error !== null) return res;
+/*
+BUILT-IN FUNCTIONS
+*/
+const IO = {
+    output: (text) => console.log(text),
+    input: () => '',
+};
 
-        ctx.symbolTable.set(varName, value);
-        return res.success(value);
-    }
+export const setOutput = (sink) => {
+    IO.output = sink;
+};
 
-    traverseBinaryOpNode(node, ctx) {
-        let rtRes = new RTResult();
-        let left = rtRes.register(this.traverse(node.left, ctx));
-        if (rtRes.error) return rtRes;
-        let right = rtRes.register(this.traverse(node.right, ctx));
-        if (rtRes.error) return rtRes;
-        let [res, error] = [null, null];
+export const setInput = (source) => {
+    IO.input = source;
+};
 
-        if (node.op.type === PLUS) [res, error] = left.add(right);
-        if (node.op.type === MINUS) [res, error] = left.subtract(right);
-        if (node.op.type === MUL) [res, error] = left.multiply(right);
-        if (node.op.type === DIV) [res, error] = left.divide(right);
-        if (node.op.type === POW) [res, error] = left.pow(right);
-        if (node.op.type === EQ) [res, error] = left.getCompEq(right);
-        if (node.op.type === NE) [res, error] = left.getCompNe(right);
-        if (node.op.type === LT) [res, error] = left.getCompLt(right);
-        if (node.op.type === LTE) [res, error] = left.getCompLte(right);
-        if (node.op.type === GT) [res, error] = left.getCompGt(right);
-        if (node.op.type === GTE) [res, error] = left.getCompGte(right);
-        if (node.op.equals(new Token(KEYWORD, 'AND')))
-            [res, error] = left.getAnd(right);
-        if (node.op.equals(new Token(KEYWORD, 'OR')))
-            [res, error] = left.getOr(right);
+const INT_PATTERN = /^\s*[+-]?\d+\s*$/;
+const FLOAT_PATTERN = /^\s*[+-]?(\d+\.?\d*|\.\d+)\s*$/;
 
-        if (error) return rtRes.failure(error);
-        return rtRes.success(res.setPos(node.start, node.end));
-    }
+const typePredicate = (name, type) =>
+    new BuiltInFunction(name, ['value'], [null], function (ctx, value) {
+        return new RTResult().success(
+            new Boolean(value instanceof type).setContext(ctx)
+        );
+    });
 
-    traverseUnaryOpNode(node, ctx) {
-        let [rtRes, error] = [new RTResult(), null];
-        let num = rtRes.register(this.traverse(node.node, ctx));
-        if (rtRes.error !== null) return rtRes;
+// Runs a pop callable on behalf of the builtin executing in ctx.
+const callBack = (builtin, ctx, func, ...args) =>
+    new Interpreter().call(func, args, ctx, builtin.start, builtin.end);
 
-        if (node.op.type === MINUS) [num, error] = num.multiply(new Number(-1));
-        if (node.op.equals(new Token(KEYWORD, 'NOT')))
-            [num, error] = num.negate();
+const toArray = (iterable) => {
+    const res = new RTResult();
+    const [iterator, error] = iterable.iterate();
+    if (error !== null) return res.failure(error);
 
-        if (error !== null) return rtRes.failure(error);
-        return rtRes.success(num.setPos(node.start, node.end));
+    let values = [];
+    while (true) {
+        const value = res.register(iterator.next());
+        if (res.error !== null) return res;
+        if (value === null) return res.success(values);
+        values.push(value);
+    }
+};
+
+// A stable merge sort whose comparisons may fail: before(a, b) returns an
+// RTResult holding whether a must be placed strictly ahead of b.
+const mergeSort = (items, before) => {
+    const res = new RTResult();
+    if (items.length < 2) return res.success(items);
+
+    const middle = Math.floor(items.length / 2);
+    const left = res.register(mergeSort(items.slice(0, middle), before));
+    if (res.error !== null) return res;
+    const right = res.register(mergeSort(items.slice(middle), before));
+    if (res.error !== null) return res;
+
+    let [merged, i, j] = [[], 0, 0];
+    while (i < left.length && j < right.length) {
+        const rightFirst = res.register(before(right[j], left[i]));
+        if (res.error !== null) return res;
+        merged.push(rightFirst ? right[j++] : left[i++]);
     }
+    return res.success([...merged, ...left.slice(i), ...right.slice(j)]);
+};
 
-    traverseIfStatementNode(node, ctx) {
+const truthTest = (name, stopOn) =>
+    new BuiltInFunction(name, ['iterable'], [null], function (ctx, iterable) {
         const res = new RTResult();
+        const [iterator, error] = iterable.iterate();
+        if (error !== null) return res.failure(error);
 
-        for (let [cond, expr] of node.cases) {
-            cond = res.register(this.traverse(cond, ctx));
+        while (true) {
+            const value = res.register(iterator.next());
             if (res.error !== null) return res;
-
-            if (cond.value !== 0) {
-                expr = res.register(this.traverse(expr, ctx));
-                if (res.error !== null) return res;
-                return res.success(expr);
-            }
+            if (value === null) break;
+            if (value.isTrue() === stopOn)
+                return res.success(new Boolean(stopOn).setContext(ctx));
+        }
+        return res.success(new Boolean(!stopOn).setContext(ctx));
+    });
+
+const BUILTINS = [
+    new BuiltInFunction('PRINT', ['value'], [null], function (ctx, value) {
+        IO.output(value.toString());
+        return new RTResult().success(new Null().setContext(ctx));
+    }),
+    new BuiltInFunction('INPUT', [], [], function (ctx) {
+        return new RTResult().success(
+            new String(`${IO.input()}`).setContext(ctx)
+        );
+    }),
+    new BuiltInFunction(
+        'LEN',
+        ['value'],
+        [[String, List, Dict, Range]],
+        function (ctx, value) {
+            const length =
+                value instanceof Sequence ? value.length() : value.entries.size;
+            return new RTResult().success(new Number(length).setContext(ctx));
         }
+    ),
+    new BuiltInFunction('TYPE', ['value'], [null], function (ctx, value) {
+        return new RTResult().success(
+            new String(value.constructor.typeName).setContext(ctx)
+        );
+    }),
+    new BuiltInFunction('STR', ['value'], [null], function (ctx, value) {
+        return new RTResult().success(
+            new String(value.toString()).setContext(ctx)
+        );
+    }),
+    new BuiltInFunction('INT', ['value'], [[Number, String]], function (
+        ctx,
+        value
+    ) {
+        if (
+            value instanceof Number &&
+            value.type === FLOAT &&
+            !globalThis.Number.isFinite(value.value)
+        )
+            return new RTResult().failure(
+                new RuntimeError(
+                    this.start,
+                    this.end,
+                    `Cannot convert ${value.repr()} to an int`,
+                    ctx
+                )
+            );
+        if (value instanceof Number)
+            return new RTResult().success(
+                new Number(
+                    value.type === INT
+                        ? value.value
+                        : toInt(BigInt(Math.trunc(value.value)))
+                ).setContext(ctx)
+            );
+        if (!INT_PATTERN.test(value.value))
+            return new RTResult().failure(
+                new RuntimeError(
+                    this.start,
+                    this.end,
+                    `Cannot convert ${value.repr()} to an int`,
+                    ctx
+                )
+            );
+        return new RTResult().success(
+            new Number(toInt(BigInt(value.value.trim()))).setContext(ctx)
+        );
+    }),
+    new BuiltInFunction('FLOAT', ['value'], [[Number, String]], function (
+        ctx,
+        value
+    ) {
+        if (value instanceof Number)
+            return new RTResult().success(
+                new Number(toFloat(value.value), FLOAT).setContext(ctx)
+            );
+        if (!FLOAT_PATTERN.test(value.value))
+            return new RTResult().failure(
+                new RuntimeError(
+                    this.start,
+                    this.end,
+                    `Cannot convert ${value.repr()} to a float`,
+                    ctx
+                )
+            );
+        return new RTResult().success(
+            new Number(parseFloat(value.value), FLOAT).setContext(ctx)
+        );
+    }),
+    new BuiltInFunction(
+        'RANGE',
+        ['start', 'end', 'step'],
+        [[Number], [Number], [Number]],
+        function (ctx, start, end, step) {
+            if (end === undefined) [start, end] = [new Number(0), start];
+            step = step ?? new Number(1);
+
+            if ([start, end, step].some((arg) => arg.type === FLOAT))
+                return new RTResult().failure(
+                    new RuntimeError(
+                        this.start,
+                        this.end,
+                        "'RANGE' expects integers",
+                        ctx
+                    )
+                );
+            if (step.value == 0)
+                return new RTResult().failure(
+                    new RuntimeError(
+                        this.start,
+                        this.end,
+                        "'RANGE' step must not be zero",
+                        ctx
+                    )
+                );
 
-        if (node.elseCase !== null) {
-            let elseVal = res.register(this.traverse(node.elseCase, ctx));
+            return new RTResult().success(
+                new Range(start.value, end.value, step.value).setContext(ctx)
+            );
+        },
+        1
+    ),
+    new BuiltInFunction(
+        'NEXT',
+        ['generator', 'default'],
+        [[Generator], null],
+        function (ctx, generator, fallback) {
+            const res = new RTResult();
+            const value = res.register(generator.next());
             if (res.error !== null) return res;
-            return res.success(elseVal);
-        }
+            if (value !== null) return res.success(value);
 
-        return res.success(null);
-    }
+            if (fallback !== undefined) return res.success(fallback);
+            return res.failure(
+                new RuntimeError(
+                    this.start,
+                    this.end,
+                    `Generator '${generator.name}' is exhausted`,
+                    ctx
+                )
+            );
+        },
+        1
+    ),
+    typePredicate('IS_NUMBER', Number),
+    typePredicate('IS_STRING', String),
+    typePredicate('IS_LIST', List),
+    typePredicate('IS_MAP', Dict),
+    typePredicate('IS_FUNCTION', BaseFunction),
+    typePredicate('IS_BOOLEAN', Boolean),
+    typePredicate('IS_NULL', Null),
+    typePredicate('IS_ERROR', ErrorValue),
+    new BuiltInFunction('KEYS', ['map'], [[Dict]], function (ctx, map) {
+        const keys = [...map.entries.values()].map(([key]) => key);
+        return new RTResult().success(new List(keys).setContext(ctx));
+    }),
+    new BuiltInFunction('VALUES', ['map'], [[Dict]], function (ctx, map) {
+        const values = [...map.entries.values()].map(([, value]) => value);
+        return new RTResult().success(new List(values).setContext(ctx));
+    }),
+    new BuiltInFunction('HAS', ['map', 'key'], [[Dict], null], function (
+        ctx,
+        map,
+        key
+    ) {
+        const [found, error] = map.has(key);
+        if (error !== null) return new RTResult().failure(error);
+        return new RTResult().success(new Boolean(found).setContext(ctx));
+    }),
+    new BuiltInFunction(
+        'MAP',
+        ['function', 'iterable'],
+        [[BaseFunction], null],
+        function (ctx, func, iterable) {
+            const res = new RTResult();
+            const values = res.register(toArray(iterable));
+            if (res.error !== null) return res;
 
-    traverseForNode(node, ctx) {
-        const res = new RTResult();
+            let mapped = [];
+            for (const value of values) {
+                mapped.push(res.register(callBack(this, ctx, func, value)));
+                if (res.error !== null) return res;
+            }
+            return res.success(new List(mapped).setContext(ctx));
+        }
+    ),
+    new BuiltInFunction(
+        'FILTER',
+        ['function', 'iterable'],
+        [[BaseFunction], null],
+        function (ctx, func, iterable) {
+            const res = new RTResult();
+            const values = res.register(toArray(iterable));
+            if (res.error !== null) return res;
 
-        const startVal = res.register(this.traverse(node.startVal, ctx));
-        if (res.error !== null) return res;
+            let kept = [];
+            for (const value of values) {
+                const keep = res.register(callBack(this, ctx, func, value));
+                if (res.error !== null) return res;
+                if (keep.isTrue()) kept.push(value);
+            }
+            return res.success(new List(kept).setContext(ctx));
+        }
+    ),
+    new BuiltInFunction(
+        'REDUCE',
+        ['function', 'iterable', 'initial'],
+        [[BaseFunction], null, null],
+        function (ctx, func, iterable, initial) {
+            const res = new RTResult();
+            let values = res.register(toArray(iterable));
+            if (res.error !== null) return res;
 
-        const endVal = res.register(this.traverse(node.endVal, ctx));
-        if (res.error !== null) return res;
+            let result = initial;
+            if (result === undefined) {
+                if (values.length === 0)
+                    return res.failure(
+                        new RuntimeError(
+                            this.start,
+                            this.end,
+                            "'REDUCE' of an empty iterable with no initial value",
+                            ctx
+                        )
+                    );
+                [result, ...values] = values;
+            }
 
-        let stepVal = new Number(1);
-        if (node.stepVal !== null) {
-            stepVal = res.register(this.traverse(node.stepVal, ctx));
+            for (const value of values) {
+                result = res.register(callBack(this, ctx, func, result, value));
+                if (res.error !== null) return res;
+            }
+            return res.success(result);
+        },
+        2
+    ),
+    // A one-argument function is a sort key; a two-argument function is a
+    // comparator returning a negative, zero or positive number.
+    new BuiltInFunction(
+        'SORT',
+        ['iterable', 'function'],
+        [null, [BaseFunction]],
+        function (ctx, iterable, func) {
+            const res = new RTResult();
+            const values = res.register(toArray(iterable));
             if (res.error !== null) return res;
-        }
-
-        let i = startVal.value;
-        const inc = stepVal.value >= 0;
 
-        while ((inc && i < endVal.value) || (!inc && i > endVal.value)) {
-            ctx.symbolTable.set(node.varName.value, new Number(i));
-            console.log(i);
-            i += stepVal.val;
+            const sortError = (details) =>
+                new RuntimeError(this.start, this.end, details, ctx);
+            const isComparator = func !== undefined && func.minArgs >= 2;
+
+            let items = [];
+            for (const value of values) {
+                let key = value;
+                if (func !== undefined && !isComparator) {
+                    key = res.register(callBack(this, ctx, func, value));
+                    if (res.error !== null) return res;
+                }
+                items.push([key, value]);
+            }
 
-            res.register(this.traverse(node.body, ctx));
+            const before = ([a, aValue], [b, bValue]) => {
+                const res = new RTResult();
+                if (isComparator) {
+                    const order = res.register(
+                        callBack(this, ctx, func, aValue, bValue)
+                    );
+                    if (res.error !== null) return res;
+                    if (!(order instanceof Number))
+                        return res.failure(
+                            sortError("'SORT' comparator must return a number")
+                        );
+                    return res.success(order.value < 0);
+                }
+
+                const [less, error] = a.getCompLt(b);
+                if (error !== null)
+                    return res.failure(
+                        sortError(
+                            `'SORT' cannot order ${a.constructor.typeName} and ${b.constructor.typeName} values`
+                        )
+                    );
+                return res.success(less.isTrue());
+            };
+
+            const sorted = res.register(mergeSort(items, before));
             if (res.error !== null) return res;
+            return res.success(
+                new List(sorted.map(([, value]) => value)).setContext(ctx)
+            );
+        },
+        1
+    ),
+    truthTest('ANY', true),
+    truthTest('ALL', false),
+    new BuiltInFunction('ZIP', ['first', 'second'], [null, null], function (
+        ctx,
+        first,
+        second
+    ) {
+        const res = new RTResult();
+        let iterators = [];
+        for (const iterable of [first, second]) {
+            const [iterator, error] = iterable.iterate();
+            if (error !== null) return res.failure(error);
+            iterators.push(iterator);
         }
 
-        return res.success(null);
-    }
-
-    traverseWhileNode(node, ctx) {
-        const res = RTResult();
-
+        let pairs = [];
         while (true) {
-            let cond = res.register(this.traverse(node.condition, ctx));
+            let pair = [];
+            for (const iterator of iterators) {
+                const value = res.register(iterator.next());
+                if (res.error !== null) return res;
+                if (value === null)
+                    return res.success(new List(pairs).setContext(ctx));
+                pair.push(value);
+            }
+            pairs.push(new List(pair).setContext(ctx));
+        }
+    }),
+    new BuiltInFunction(
+        'ENUMERATE',
+        ['iterable', 'start'],
+        [null, [Number]],
+        function (ctx, iterable, start = new Number(0)) {
+            const res = new RTResult();
+            if (start.type !== INT)
+                return res.failure(
+                    new RuntimeError(
+                        this.start,
+                        this.end,
+                        "'ENUMERATE' expects an integer start",
+                        ctx
+                    )
+                );
+
+            const values = res.register(toArray(iterable));
             if (res.error !== null) return res;
 
-            if (cond === 0) break;
+            const pairs = values.map((value, i) =>
+                new List([
+                    new Number(toInt(BigInt(start.value) + BigInt(i))),
+                    value,
+                ]).setContext(ctx)
+            );
+            return res.success(new List(pairs).setContext(ctx));
+        },
+        1
+    ),
+];
 
-            res.register(this.traverse(node.body, ctx));
-            if (res.error !== null) return res;
-        }
+/*
+MODULES
+*/
+// A loader maps an IMPORT path to a key relative to the importing file and
+// returns the source text for a key, or null when there is no such module.
+export const memoryLoader = (files) => ({
+    resolve: (path, fromFile) => path,
+    load: (path) => files[path] ?? null,
+});
+
+const MODULES = {
+    loader: memoryLoader({}),
+    cache: new Map(),
+    loading: [],
+};
 
-        return res.success(null);
+export const setLoader = (loader) => {
+    MODULES.loader = loader;
+    MODULES.cache.clear();
+};
+
+const importModule = (node, ctx) => {
+    const res = new RTResult();
+    const fail = (details) =>
+        res.failure(new RuntimeError(node.start, node.end, details, ctx));
+
+    let [path, text] = [null, null];
+    try {
+        path = MODULES.loader.resolve(node.path.value, node.start.fileName);
+        if (MODULES.cache.has(path))
+            return res.success(MODULES.cache.get(path));
+        if (MODULES.loading.includes(path))
+            return fail(
+                `Circular import: ${[...MODULES.loading, path].join(' -> ')}`
+            );
+        text = MODULES.loader.load(path);
+    } catch (e) {
+        return fail(`Cannot load module "${node.path.value}": ${e.message}`);
     }
-}
+    if (text === null) return fail(`Module "${node.path.value}" not found`);
+
+    const [tokens, error] = new Lexer(path, text).makeTokens();
+    if (error) return res.failure(error);
+    const ast = new Parser(tokens).parse();
+    if (ast.error) return res.failure(ast.error);
+
+    const table = new SymbolTable(BUILTIN_TABLE);
+    const moduleCtx = new Context('<pop-module>', ctx, node.start).setTable(
+        table
+    );
+
+    MODULES.loading.push(path);
+    try {
+        res.register(new Interpreter().evaluate(ast.node, moduleCtx));
+    } finally {
+        MODULES.loading.pop();
+    }
+    if (res.error !== null) return res;
+
+    const module = new Module(path, table).setPos(node.start, node.end);
+    MODULES.cache.set(path, module);
+    return res.success(module);
+};
 
 /*
 RUN
 */
-const GLOBAL = new SymbolTable();
-export const run = (fileName, text) => {
+const BUILTIN_TABLE = new SymbolTable();
+BUILTINS.forEach((builtin) => BUILTIN_TABLE.set(builtin.name, builtin));
+
+// Each run gets fresh globals unless the caller passes a table from an
+// earlier run, as a REPL does to keep its definitions between lines.
+export const createGlobals = () => new SymbolTable(BUILTIN_TABLE);
+
+export const run = (fileName, text, globals = createGlobals()) => {
     // 1) Tokenize the input
     const lexer = new Lexer(fileName, text);
     const [tokens, error] = lexer.makeTokens();
     if (error) return [null, error];
-    console.log(tokens);
 
     // 2) Construct abstract syntax tree
     const parser = new Parser(tokens);
@@ -1297,8 +5550,14 @@ export const run = (fileName, text) => {
 
     // 3) Interpret abstract syntax tree
     const interpreter = new Interpreter();
-    const ctx = new Context('<pop-main>').setTable(GLOBAL);
-    let res = interpreter.traverse(ast.node, ctx);
-
-    return [res.value, res.error];
+    const ctx = new Context('<pop-main>').setTable(globals);
+    try {
+        const res = interpreter.evaluate(ast.node, ctx);
+        return [res.value, res.error];
+    } catch (e) {
+        if (!isStackOverflow(e)) throw e;
+        return [null, recursionError(ast.node.start, ast.node.end, ctx)];
+    }
 };
+
+export { Null };
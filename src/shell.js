@@ -1,10 +1,28 @@
-import { run } from './pop.js';
+import { existsSync, readFileSync, readSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { Null, createGlobals, run, setInput, setLoader } from './pop.js';
+
+setInput(() => {
+    let [bytes, buffer] = [[], Buffer.alloc(1)];
+    while (readSync(0, buffer, 0, 1) > 0 && buffer[0] !== 10)
+        bytes.push(buffer[0]);
+    return Buffer.from(bytes).toString();
+});
+
+setLoader({
+    resolve: (path, fromFile) => resolve(dirname(fromFile), path),
+    load: (path) => (existsSync(path) ? readFileSync(path, 'utf8') : null),
+});
 
 const lines = ['VAR n = 0', 'n = 2 + 1'];
+const globals = createGlobals();
 
 for (let line of lines) {
-    let [res, error] = run('<stdin>', line);
+    let [res, error] = run('<stdin>', line, globals);
     if (error) console.log(error.toString());
-    else if (res !== null) console.log(res.toString());
+    else
+        res.elements.forEach((value) => {
+            if (!(value instanceof Null)) console.log(value.toString());
+        });
     console.log('----------------------------------------------');
 }
@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { execute } from './support.js';
+
+const frames = (text) =>
+    execute(text)
+        .error.traceback()
+        .split('\n')
+        .filter((line) => line.includes(' in '))
+        .map((line) => line.split(' in ')[1]);
+
+test('argument count errors include the builtin frame', () => {
+    assert.deepEqual(frames('LEN()'), ['<pop-main>', 'LEN']);
+    assert.deepEqual(frames('RANGE(1, 2, 3, 4)'), ['<pop-main>', 'RANGE']);
+});
+
+test('argument type errors include the builtin frame', () => {
+    assert.deepEqual(frames('LEN(1)'), ['<pop-main>', 'LEN']);
+});
+
+test('argument errors trace like errors from the builtin body', () => {
+    assert.deepEqual(frames('RANGE(1, 2, 0)'), frames('RANGE(1, 2, 0, 1)'));
+    assert.deepEqual(frames('FUN f() -> LEN(1)\nf()'), [
+        '<pop-main>',
+        'f',
+        'LEN',
+    ]);
+});
+
+test('callbacks failing inside a builtin show both frames', () => {
+    assert.deepEqual(frames('FUN inv(x) -> 1 / x\nMAP(inv, [0])'), [
+        '<pop-main>',
+        'MAP',
+        'inv',
+    ]);
+});
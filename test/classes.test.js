@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { execute } from './support.js';
+
+const value = (text) => execute(text).value;
+const point = [
+    'CLASS Point(x, y)',
+    '    FUN norm2() -> SELF.x * SELF.x + SELF.y * SELF.y',
+    '    FUN move(dx, dy)',
+    '        SELF.x += dx',
+    '        SELF.y += dy',
+    '        RETURN SELF',
+    '    END',
+    '    FUN describe() -> "Point at " + STR(SELF.x) + ", " + STR(SELF.y)',
+    'END',
+    'CLASS Point3(x, y, z) EXTENDS Point',
+    '    FUN norm2() -> SUPER.norm2() + SELF.z * SELF.z',
+    '    FUN describe() -> SUPER.describe() + ", " + STR(SELF.z)',
+    'END',
+    '',
+].join('\n');
+
+test('calling a class builds an instance from its fields', () => {
+    assert.equal(value(`${point}Point(1, 2)`), 'Point(x=1, y=2)');
+    assert.equal(value(`${point}Point(1, 2).y`), '2');
+    assert.equal(value(`${point}Point`), '<class Point>');
+    assert.equal(value(`${point}TYPE(Point(1, 2))`), 'instance');
+    assert.equal(
+        value('CLASS Pair(a, b) END\nPair(1, "x")'),
+        'Pair(a=1, b="x")'
+    );
+});
+
+test('methods see the instance through SELF', () => {
+    assert.equal(value(`${point}Point(3, 4).norm2()`), '25');
+    assert.equal(
+        value(`${point}VAR p = Point(3, 4)\np.move(1, 1)\np`),
+        'Point(x=4, y=5)'
+    );
+    assert.equal(value(`${point}VAR p = Point(3, 4)\np.x = 10\np.x`), '10');
+});
+
+test('methods are bound to their instance', () => {
+    assert.equal(value(`${point}Point(1, 2).move`), '<method Point.move>');
+    assert.equal(value(`${point}VAR m = Point(1, 2).move\nm(1, 1).x`), '2');
+});
+
+test('subclasses inherit fields and methods', () => {
+    assert.equal(value(`${point}Point3(1, 2, 2)`), 'Point3(x=1, y=2, z=2)');
+    assert.equal(value(`${point}Point3(1, 2, 2).move(1, 1).z`), '2');
+    assert.equal(value(`${point}Point3(1, 2, 2).move`), '<method Point.move>');
+});
+
+test('SUPER calls the parent class method on the same instance', () => {
+    assert.equal(value(`${point}Point3(1, 2, 2).norm2()`), '9');
+    assert.equal(
+        value(`${point}Point3(1, 2, 2).describe()`),
+        'Point at 1, 2, 2'
+    );
+    assert.equal(
+        value(`${point}Point3(1, 2, 2).move(1, 1).describe()`),
+        'Point at 2, 3, 2'
+    );
+});
+
+test('SUPER resolves from the class that defines the method', () => {
+    const text = [
+        'CLASS A(x)',
+        '    FUN name() -> "A"',
+        'END',
+        'CLASS B(x) EXTENDS A',
+        '    FUN name() -> "B" + SUPER.name()',
+        'END',
+        'CLASS C(x) EXTENDS B',
+        '    FUN name() -> "C" + SUPER.name()',
+        'END',
+        'C(1).name()',
+    ].join('\n');
+    assert.equal(value(text), 'CBA');
+});
+
+test('nested functions in a method keep SELF', () => {
+    const text = [
+        'CLASS Counter(n)',
+        '    FUN tick()',
+        '        FUN bump() -> SELF.n += 1',
+        '        bump()',
+        '        RETURN SELF.n',
+        '    END',
+        'END',
+        'VAR c = Counter(0)',
+        'c.tick()',
+        'c.tick()',
+    ].join('\n');
+    assert.equal(value(text), '2');
+});
+
+test('bad attribute and SUPER lookups are runtime errors', () => {
+    const details = (text) => execute(text).error.details;
+    assert.equal(
+        details(`${point}Point(1, 2).z`),
+        "'Point' instance has no attribute 'z'"
+    );
+    assert.equal(
+        details('CLASS G(x)\n    FUN f() -> SUPER.f()\nEND\nG(1).f()'),
+        "'G' has no parent class"
+    );
+    assert.equal(
+        details(
+            `${point}CLASS H(x, y) EXTENDS Point\n    FUN f() -> SUPER.f()\nEND\nH(1, 2).f()`
+        ),
+        "'Point' has no method 'f'"
+    );
+});
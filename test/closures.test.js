@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { execute } from './support.js';
+
+test('a returned closure keeps updating its captured variable', () => {
+    const { output } = execute(
+        [
+            'FUN counter()',
+            '    VAR count = 0',
+            '    RETURN FUN () -> count += 1',
+            'END',
+            'VAR next = counter()',
+            'next()',
+            'next()',
+            'PRINT(next())',
+            'VAR other = counter()',
+            'PRINT(other())',
+        ].join('\n')
+    );
+    assert.deepEqual(output, ['3', '1']);
+});
+
+test('nested closures read every enclosing scope', () => {
+    const { value } = execute(
+        [
+            'FUN outer(a)',
+            '    FUN middle(b)',
+            '        RETURN FUN (c) -> a + b + c',
+            '    END',
+            '    RETURN middle',
+            'END',
+            'outer(1)(10)(100)',
+        ].join('\n')
+    );
+    assert.equal(value, '111');
+});
+
+test('a closure can memoize through an outer map', () => {
+    const { value } = execute(
+        [
+            'FUN memoize(f)',
+            '    VAR cache = {}',
+            '    VAR calls = 0',
+            '    FUN lookup(n)',
+            '        IF NOT HAS(cache, n) DO',
+            '            calls += 1',
+            '            cache[n] = f(n)',
+            '        END',
+            '        RETURN [cache[n], calls]',
+            '    END',
+            '    RETURN lookup',
+            'END',
+            'VAR square = memoize(FUN (n) -> n * n)',
+            'square(4)',
+            'square(4)',
+        ].join('\n')
+    );
+    assert.equal(value, '[16, 1]');
+});
+
+test('closures are lexical, not resolved through the caller', () => {
+    const { value } = execute(
+        [
+            'VAR x = "global"',
+            'FUN show() -> x',
+            'FUN caller()',
+            '    VAR x = "caller"',
+            '    RETURN show()',
+            'END',
+            'caller()',
+        ].join('\n')
+    );
+    assert.equal(value, 'global');
+});
+
+test('errors on captured values trace through the reading frame', () => {
+    const { error } = execute('VAR x = "a"\nFUN f() -> x - 1\n\nf()');
+    assert.equal(
+        error.traceback(),
+        [
+            'Traceback (most recent call last):',
+            '  File <test>, line 4, in <pop-main>',
+            '  File <test>, line 2, in f',
+            '',
+        ].join('\n')
+    );
+});
+
+test('errors on builtins read as values have a frame', () => {
+    assert.match(
+        execute('PRINT + 1').error.traceback(),
+        /line 1, in <pop-main>/
+    );
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { execute } from './support.js';
+
+const value = (text) => execute(text).value;
+const details = (text) => execute(text).error.details;
+const list = 'VAR xs = [5, 3, 8, 1, 9, 2]\n';
+
+test('MAP, FILTER and REDUCE take user functions and builtins', () => {
+    assert.equal(
+        value(`${list}MAP(FUN (x) -> x * 2, xs)`),
+        '[10, 6, 16, 2, 18, 4]'
+    );
+    assert.equal(
+        value(`${list}MAP(STR, xs)`),
+        '["5", "3", "8", "1", "9", "2"]'
+    );
+    assert.equal(value(`${list}FILTER(FUN (x) -> x % 2, xs)`), '[5, 3, 1, 9]');
+    assert.equal(value('FILTER(IS_STRING, [1, "a", 2, "b"])'), '["a", "b"]');
+    assert.equal(value(`${list}REDUCE(FUN (a, b) -> a + b, xs)`), '28');
+    assert.equal(value('REDUCE(FUN (a, b) -> a + b, [], 0)'), '0');
+    assert.equal(value('REDUCE(FUN (acc, c) -> c + acc, "abc", "")'), 'cba');
+});
+
+test('SORT returns a new sorted list', () => {
+    assert.equal(value(`${list}SORT(xs)`), '[1, 2, 3, 5, 8, 9]');
+    assert.equal(value(`${list}SORT(xs)\nxs`), '[5, 3, 8, 1, 9, 2]');
+    assert.equal(value('SORT("banana")'), '["a", "a", "a", "b", "n", "n"]');
+    assert.equal(value('SORT(RANGE(3))'), '[0, 1, 2]');
+});
+
+test('SORT takes a key or a comparator', () => {
+    assert.equal(value(`${list}SORT(xs, FUN (x) -> -x)`), '[9, 8, 5, 3, 2, 1]');
+    assert.equal(
+        value(`${list}SORT(xs, FUN (a, b) -> b - a)`),
+        '[9, 8, 5, 3, 2, 1]'
+    );
+    assert.equal(
+        value(
+            'CLASS P(x, y)\n    FUN norm() -> SELF.x * SELF.x + SELF.y * SELF.y\nEND\n' +
+                'SORT([P(3, 4), P(1, 1), P(0, 2)], FUN (p) -> p.norm())'
+        ),
+        '[P(x=1, y=1), P(x=0, y=2), P(x=3, y=4)]'
+    );
+});
+
+test('SORT is stable', () => {
+    assert.equal(
+        value(
+            'SORT([[2, "a"], [1, "b"], [2, "c"], [1, "d"]], FUN (p) -> p[0])'
+        ),
+        '[[1, "b"], [1, "d"], [2, "a"], [2, "c"]]'
+    );
+    assert.equal(
+        value('SORT(["pear", "fig", "apple", "kiwi", "plum"], LEN)'),
+        '["fig", "pear", "kiwi", "plum", "apple"]'
+    );
+    assert.equal(
+        value('SORT(RANGE(5), FUN (a, b) -> (a % 2) - (b % 2))'),
+        '[0, 2, 4, 1, 3]'
+    );
+});
+
+test('ANY and ALL test truthiness and stop early', () => {
+    assert.equal(value('ANY([0, "", 3])'), 'TRUE');
+    assert.equal(value('ANY([])'), 'FALSE');
+    assert.equal(value('ALL([1, "x", [0]])'), 'TRUE');
+    assert.equal(value('ALL([1, 0])'), 'FALSE');
+    assert.equal(value('ALL([])'), 'TRUE');
+    assert.equal(
+        value(
+            'FUN naturals()\n    VAR n = 0\n    WHILE TRUE DO\n        YIELD n\n        n += 1\n    END\nEND\nANY(naturals())'
+        ),
+        'TRUE'
+    );
+});
+
+test('ZIP and ENUMERATE pair up elements', () => {
+    assert.equal(
+        value(`${list}ZIP(xs, "abc")`),
+        '[[5, "a"], [3, "b"], [8, "c"]]'
+    );
+    assert.equal(value('ENUMERATE("abc")'), '[[0, "a"], [1, "b"], [2, "c"]]');
+    assert.equal(value('ENUMERATE(["a", "b"], 1)'), '[[1, "a"], [2, "b"]]');
+});
+
+test('bad arguments are runtime errors', () => {
+    assert.equal(
+        details('MAP(1, [1])'),
+        "'MAP' expects 'function' to be a function, got number"
+    );
+    assert.equal(
+        details('FILTER(FUN (x) -> x, 5)'),
+        'number value is not iterable'
+    );
+    assert.equal(
+        details('REDUCE(FUN (a, b) -> a + b, [])'),
+        "'REDUCE' of an empty iterable with no initial value"
+    );
+    assert.equal(
+        details('SORT([1, "a"])'),
+        "'SORT' cannot order string and number values"
+    );
+    assert.equal(
+        details('SORT([1, 2], FUN (a, b) -> "x")'),
+        "'SORT' comparator must return a number"
+    );
+    assert.equal(
+        details('ENUMERATE([1], 1.5)'),
+        "'ENUMERATE' expects an integer start"
+    );
+});
+
+test('errors inside a callback trace through the builtin', () => {
+    const { error } = execute(
+        'FUN inverse(x) -> 1 / x\nFUN run() -> MAP(inverse, [1, 0])\nrun()'
+    );
+    const frames = error
+        .traceback()
+        .split('\n')
+        .filter((line) => line.includes(' in '))
+        .map((line) => line.split(' in ')[1]);
+    assert.deepEqual(frames, ['<pop-main>', 'run', 'MAP', 'inverse']);
+    assert.equal(error.details, 'Division by zero');
+    assert.equal(
+        details('MAP(FUN (a, b) -> a, [1])'),
+        "'<anonymous>' takes 2 argument(s) but 1 were given"
+    );
+});
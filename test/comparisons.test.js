@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { execute } from './support.js';
+
+const value = (text) => execute(text).value;
+
+test('comparisons chain like a conjunction', () => {
+    assert.equal(value('1 < 2 < 3'), 'TRUE');
+    assert.equal(value('1 < 3 < 2'), 'FALSE');
+    assert.equal(value('3 > 2 > 1'), 'TRUE');
+    assert.equal(value('1 <= 1 < 2 == 2'), 'TRUE');
+    assert.equal(value('1 == 1 != 2'), 'TRUE');
+    assert.equal(value('"a" < "b" < "c"'), 'TRUE');
+});
+
+test('a chain is not a comparison of a boolean', () => {
+    assert.equal(value('3 > 2 > 1'), 'TRUE');
+    assert.equal(value('0 < 5 < 10'), 'TRUE');
+    assert.equal(execute('(3 > 2) > 1').error.details, 'Illegal operation');
+});
+
+test('each operand of a chain is evaluated once', () => {
+    const { output } = execute(
+        'FUN f(x)\n    PRINT(x)\n    RETURN x\nEND\nf(1) < f(2) < f(3)'
+    );
+    assert.deepEqual(output, ['1', '2', '3']);
+});
+
+test('a chain stops at the first false comparison', () => {
+    const { output, value } = execute(
+        'FUN f(x)\n    PRINT(x)\n    RETURN x\nEND\nf(2) < f(1) < f(3)'
+    );
+    assert.deepEqual(output, ['2', '1']);
+    assert.equal(value, 'FALSE');
+});
+
+test('chains bind tighter than AND and OR', () => {
+    assert.equal(value('1 < 2 < 3 AND 3 > 2 > 1'), 'TRUE');
+    assert.equal(value('NOT 1 < 2 < 3'), 'FALSE');
+    assert.equal(value('1 + 1 < 2 + 1 < 2 * 2'), 'TRUE');
+});
+
+test('a failed comparison in a chain reports its error', () => {
+    const { error } = execute('1 < "a" < 3');
+    assert.equal(error.name, 'Runtime Error');
+    assert.equal(error.details, 'Illegal operation');
+});
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { execute } from './support.js';
+
+const value = (text) => execute(text).value;
+const list = 'VAR xs = [1, 2, 3, 4, 5, 6]\n';
+
+test('a comprehension maps and filters an iterable', () => {
+    assert.equal(value(`${list}[x * x FOR x IN xs]`), '[1, 4, 9, 16, 25, 36]');
+    assert.equal(value(`${list}[x FOR x IN xs IF x % 2 == 0]`), '[2, 4, 6]');
+    assert.equal(
+        value(`${list}[x FOR x IN xs IF x > 1 IF x < 5]`),
+        '[2, 3, 4]'
+    );
+    assert.equal(value('[k FOR k IN {"a": 1, "b": 2}]'), '["a", "b"]');
+    assert.equal(value('[x FOR x IN []]'), '[]');
+});
+
+test('later clauses see the variables of earlier ones', () => {
+    assert.equal(
+        value('[[x, y] FOR x IN RANGE(3) FOR y IN RANGE(x)]'),
+        '[[1, 0], [2, 0], [2, 1]]'
+    );
+    assert.equal(
+        value('[x + y FOR x IN "ab" FOR y IN "xy"]'),
+        '["ax", "ay", "bx", "by"]'
+    );
+    assert.equal(
+        value('[[y FOR y IN RANGE(x)] FOR x IN RANGE(4)]'),
+        '[[], [0], [0, 1], [0, 1, 2]]'
+    );
+});
+
+test('comprehension variables do not leak', () => {
+    assert.equal(value(`${list}VAR x = "outer"\n[x FOR x IN xs]\nx`), 'outer');
+    const { error } = execute(`${list}[y FOR y IN xs]\ny`);
+    assert.equal(error.details, "'y' is not defined");
+});
+
+test('each iteration gets a fresh binding', () => {
+    assert.equal(
+        value('VAR fs = [FUN () -> i FOR i IN RANGE(3)]\n[f() FOR f IN fs]'),
+        '[0, 1, 2]'
+    );
+});
+
+test('comprehensions read and write enclosing variables', () => {
+    assert.equal(
+        value(`${list}CONST K = 2\n[K * v FOR v IN xs IF v <= K]`),
+        '[2, 4]'
+    );
+    assert.equal(
+        value(`${list}VAR total = 0\n[total += v FOR v IN xs]\ntotal`),
+        '21'
+    );
+    assert.equal(
+        value(
+            `${list}FUN big(ys)\n    RETURN [y FOR y IN ys IF y > n]\nEND\nVAR n = 3\nbig(xs)`
+        ),
+        '[4, 5, 6]'
+    );
+});
+
+test('comprehensions drain generators', () => {
+    const text = [
+        'FUN evens(n)',
+        '    FOR i IN RANGE(n) DO',
+        '        IF i % 2 == 0 DO YIELD i',
+        '    END',
+        'END',
+        '[e * 10 FOR e IN evens(7)]',
+    ].join('\n');
+    assert.equal(value(text), '[0, 20, 40, 60]');
+});
+
+test('iterating a non-iterable is a runtime error', () => {
+    const { error } = execute('[v FOR v IN 5]');
+    assert.equal(error.name, 'Runtime Error');
+    assert.equal(error.details, 'number value is not iterable');
+});
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { memoryLoader, setLoader } from '../src/pop.js';
+import { execute } from './support.js';
+
+const assertConstant = (text, name) => {
+    const { error } = execute(text);
+    assert.notEqual(error, null, `expected ${name} to stay constant`);
+    assert.match(
+        error.details,
+        new RegExp(`Cannot reassign constant '${name}'`)
+    );
+};
+
+test('VAR and assignment cannot replace a constant', () => {
+    assertConstant('CONST c1 = 1\nVAR c1 = 2', 'c1');
+    assertConstant('CONST c2 = 1\nc2 = 2', 'c2');
+    assertConstant('CONST c3 = 1\nc3 += 2', 'c3');
+});
+
+test('FUN cannot replace a constant', () => {
+    assertConstant('CONST c4 = 1\nFUN c4() -> 2', 'c4');
+    assert.equal(execute('CONST c5 = 1\nFUN () -> 2\nc5').value, '1');
+});
+
+test('a numeric FOR loop cannot bind a constant', () => {
+    assertConstant('CONST c6 = 1\nFOR c6 = 0 UPTO 3 DO NULL', 'c6');
+});
+
+test('CLASS cannot replace a constant', () => {
+    assertConstant('CONST c7 = 1\nCLASS c7(x)\nEND', 'c7');
+});
+
+test('a CATCH name cannot replace a constant', () => {
+    assertConstant(
+        'CONST c8 = 1\nTRY\n    THROW "x"\nCATCH c8 DO\n    2\nEND',
+        'c8'
+    );
+    const { output } = execute(
+        'CONST c9 = 1\nTRY\n    TRY\n        THROW "x"\n    CATCH c9 DO\n        2\n    FINALLY\n        PRINT("finally")\n    END\nCATCH e DO\n    PRINT(e.details)\nEND'
+    );
+    assert.equal(output[0], 'finally');
+    assert.match(output[1], /Cannot reassign constant 'c9'/);
+});
+
+test('IMPORT cannot replace a constant', () => {
+    setLoader(memoryLoader({ 'lib.pop': 'VAR c10 = 2\nCONST c11 = 3' }));
+    assertConstant('CONST c10 = 1\nIMPORT "lib.pop"', 'c10');
+    assertConstant('CONST c12 = 1\nIMPORT "lib.pop" AS c12', 'c12');
+    assert.equal(execute('IMPORT "lib.pop" AS lib\nlib.c11').value, '3');
+});
+
+test('importing a module twice keeps its constants', () => {
+    setLoader(memoryLoader({ 'twice.pop': 'CONST c13 = 3' }));
+    assert.equal(
+        execute('IMPORT "twice.pop"\nIMPORT "twice.pop"\nc13').value,
+        '3'
+    );
+    assertConstant('IMPORT "twice.pop"\nc13 = 4', 'c13');
+});
+
+test('a function can still declare a local with a constant name', () => {
+    assert.equal(
+        execute(
+            'CONST c14 = 1\nFUN f14()\n    VAR c14 = 2\n    RETURN c14\nEND\nf14() + c14'
+        ).value,
+        '3'
+    );
+});
+
+test('a CONST inside a loop body is redeclared each iteration', () => {
+    assert.equal(execute('FOR i IN RANGE(3) DO CONST k1 = i\nk1').value, '2');
+    assert.equal(execute('FOR i = 0 UPTO 3 DO CONST k2 = i\nk2').value, '2');
+    assert.equal(
+        execute(
+            'VAR n = 0\nWHILE n < 3 DO\n    CONST k3 = n\n    n += 1\nEND\nk3'
+        ).value,
+        '2'
+    );
+});
+
+test('a loop cannot redeclare a constant from elsewhere', () => {
+    assertConstant('CONST k5 = 1\nFOR i IN RANGE(2) DO CONST k5 = i', 'k5');
+    assertConstant('FOR i IN RANGE(2) DO CONST k6 = i\nk6 = 5', 'k6');
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { memoryLoader, setLoader } from '../src/pop.js';
+import { execute } from './support.js';
+
+const value = (text) => execute(text).value;
+
+test('lists compare element by element', () => {
+    assert.equal(value('VAR xs = [1]\nxs == xs'), 'TRUE');
+    assert.equal(value('[1] == [1]'), 'TRUE');
+    assert.equal(value('[1, [2, "a"]] == [1, [2, "a"]]'), 'TRUE');
+    assert.equal(value('[1, 2] == [2, 1]'), 'FALSE');
+    assert.equal(value('[1] == [1, 1]'), 'FALSE');
+    assert.equal(value('[1] != [1]'), 'FALSE');
+    assert.equal(value('[] == {}'), 'FALSE');
+});
+
+test('maps compare entry by entry', () => {
+    assert.equal(value('VAR m = {"a": 1}\nm == m'), 'TRUE');
+    assert.equal(value('{"a": 1, "b": 2} == {"b": 2, "a": 1}'), 'TRUE');
+    assert.equal(value('{"a": 1} == {"a": 2}'), 'FALSE');
+    assert.equal(value('{"a": 1} == {"b": 1}'), 'FALSE');
+    assert.equal(value('{1: [1]} == {1: [1]}'), 'TRUE');
+});
+
+test('functions equal themselves through every reference', () => {
+    assert.equal(value('VAR f = FUN () -> 1\nf == f'), 'TRUE');
+    assert.equal(value('VAR f = FUN () -> 1\nVAR g = f\nf == g'), 'TRUE');
+    assert.equal(value('(FUN () -> 1) == (FUN () -> 1)'), 'FALSE');
+    assert.equal(value('PRINT == PRINT'), 'TRUE');
+    assert.equal(value('PRINT == LEN'), 'FALSE');
+});
+
+test('closures over different scopes are different functions', () => {
+    assert.equal(value('FUN make() -> FUN () -> 1\nmake() == make()'), 'FALSE');
+});
+
+test('classes, methods, generators and modules equal themselves', () => {
+    assert.equal(value('CLASS P(x)\nEND\nP == P'), 'TRUE');
+    assert.equal(value('CLASS P(x)\nEND\nCLASS Q(x)\nEND\nP == Q'), 'FALSE');
+    assert.equal(
+        value(
+            'CLASS P(x)\n    FUN get() -> SELF.x\nEND\nVAR p = P(1)\np.get == p.get'
+        ),
+        'TRUE'
+    );
+    assert.equal(
+        value(
+            'FUN gen()\n    YIELD 1\nEND\nVAR g = gen()\n[g == g, g == gen()]'
+        ),
+        '[TRUE, FALSE]'
+    );
+    setLoader(memoryLoader({ 'eq.pop': 'VAR one = 1' }));
+    assert.equal(value('IMPORT "eq.pop" AS m\nm == m'), 'TRUE');
+});
+
+test('a caught error equals itself', () => {
+    assert.equal(
+        value('TRY\n    1 / 0\nCATCH e DO\n    e == e\nEND'),
+        '[TRUE]'
+    );
+});
@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { execute } from './support.js';
+
+test('TRY evaluates to its body like IF does', () => {
+    assert.equal(
+        execute('TRY\n    1\n    2\nFINALLY\n    3\nEND').value,
+        '[1, 2]'
+    );
+    assert.equal(
+        execute('IF TRUE DO\n    1\n    2\nEND').value,
+        execute('TRY\n    1\n    2\nCATCH e DO\n    3\nEND').value
+    );
+});
+
+test('a caught TRY evaluates to its CATCH body', () => {
+    assert.equal(
+        execute('TRY\n    1 / 0\nCATCH e DO\n    e.details\nEND').value,
+        '["Division by zero"]'
+    );
+});
+
+test('FINALLY does not change the value of a TRY', () => {
+    assert.equal(
+        execute('TRY\n    "body"\nFINALLY\n    "finally"\nEND').value,
+        '["body"]'
+    );
+});
+
+test('a TRY body can supply a function result', () => {
+    const { value } = execute(
+        'FUN safe(x) -> TRY\n    10 // x\nCATCH e DO\n    0\nEND\nsafe(0)[0] + safe(5)[0]'
+    );
+    assert.equal(value, '2');
+});
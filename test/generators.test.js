@@ -0,0 +1,24 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { createGlobals, run } from '../src/pop.js';
+
+test('a generator is usable again after its body overflows the stack', () => {
+    const globals = createGlobals();
+    const [, overflow] = run(
+        '<test>',
+        [
+            'FUN chain(n)',
+            '    YIELD IF n == 0 DO 0 ELSE NEXT(chain(n - 1))',
+            'END',
+            'VAR g = chain(100000)',
+            'NEXT(g)',
+        ].join('\n'),
+        globals
+    );
+    assert.equal(overflow.details, 'Maximum recursion depth exceeded');
+
+    const [res, error] = run('<test>', 'NEXT(g, "done")', globals);
+    assert.equal(error, null);
+    assert.equal(`${res.elements[0]}`, 'done');
+});
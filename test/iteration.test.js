@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { execute } from './support.js';
+
+const bag = ['CLASS Bag(items)', '    FUN iter() -> SELF.items', 'END'].join(
+    '\n'
+);
+
+test('FOR-IN steps through a class that defines iter', () => {
+    const { output } = execute(
+        `${bag}\nFOR x IN Bag([1, 2, 3]) DO PRINT(x * 10)`
+    );
+    assert.deepEqual(output, ['10', '20', '30']);
+});
+
+test('iter can be a generator method', () => {
+    const { value } = execute(
+        [
+            'CLASS Countdown(from)',
+            '    FUN iter()',
+            '        VAR n = SELF.from',
+            '        WHILE n > 0 DO',
+            '            YIELD n',
+            '            n -= 1',
+            '        END',
+            '    END',
+            'END',
+            '[n FOR n IN Countdown(3)]',
+        ].join('\n')
+    );
+    assert.equal(value, '[3, 2, 1]');
+});
+
+test('iterable instances work with the collection builtins', () => {
+    assert.equal(
+        execute(`${bag}\nMAP(FUN (x) -> x + 1, Bag([1, 2]))`).value,
+        '[2, 3]'
+    );
+    assert.equal(execute(`${bag}\nSORT(Bag([3, 1, 2]))`).value, '[1, 2, 3]');
+});
+
+test('iter is inherited', () => {
+    const { value } = execute(
+        `${bag}\nCLASS Sack(items) EXTENDS Bag\nEND\n[x FOR x IN Sack("ab")]`
+    );
+    assert.equal(value, '["a", "b"]');
+});
+
+test('instances without iter are not iterable', () => {
+    const { error } = execute('CLASS Box(x)\nEND\nFOR v IN Box(1) DO v');
+    assert.equal(error.details, 'instance value is not iterable');
+});
+
+test('errors raised by iter propagate', () => {
+    const { error } = execute(
+        'CLASS Bad(x)\n    FUN iter() -> 1 / 0\nEND\nFOR v IN Bad(1) DO v'
+    );
+    assert.equal(error.details, 'Division by zero');
+    assert.match(error.toString(), /in Bad\.iter/);
+});
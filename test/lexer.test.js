@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { memoryLoader, setLoader } from '../src/pop.js';
+import { execute } from './support.js';
+
+test('assignment does not need spaces around =', () => {
+    assert.equal(execute('VAR x=1\nx').value, '1');
+    assert.equal(execute('VAR x = 1\nx=x+1\nx').value, '2');
+    assert.equal(execute('CONST k=3\nk').value, '3');
+    assert.equal(execute('VAR xs=[1, 2]\nxs[0]=5\nxs').value, '[5, 2]');
+});
+
+test('== is still lexed as one token', () => {
+    assert.equal(execute('VAR x=1\nx==1').value, 'TRUE');
+    assert.equal(execute('1==2').value, 'FALSE');
+});
+
+test('shifts and comparisons do not need spaces', () => {
+    assert.equal(execute('1<<2').value, '4');
+    assert.equal(execute('8>>1').value, '4');
+    assert.equal(execute('1<2').value, 'TRUE');
+    assert.equal(execute('2>1').value, 'TRUE');
+    assert.equal(execute('2<=2').value, 'TRUE');
+    assert.equal(execute('1>=2').value, 'FALSE');
+    assert.equal(execute('1<2<3').value, 'TRUE');
+});
+
+test('CRLF line endings are accepted', () => {
+    const { value, error } = execute(
+        'VAR x = 1\r\n# comment\r\nIF x == 1 DO\r\n    x = 2\r\nEND\r\nx\r\n'
+    );
+    assert.equal(error, null);
+    assert.equal(value, '2');
+});
+
+test('CRLF modules can be imported', () => {
+    setLoader(memoryLoader({ 'crlf.pop': 'VAR a = 1\r\nVAR b = a + 1\r\n' }));
+    assert.equal(execute('IMPORT "crlf.pop"\r\nb').value, '2');
+});
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { execute } from './support.js';
+
+test('FOR loops count with numeric bounds', () => {
+    const { output } = execute(
+        'FOR i = 0 UPTO 3 DO PRINT(i)\nFOR i = 3 UPTO 0 STEP -1.5 DO PRINT(i)'
+    );
+    assert.deepEqual(output, ['0', '1', '2', '3.0', '1.5']);
+});
+
+test('FOR bounds must be numbers', () => {
+    assert.equal(
+        execute('FOR i = "a" UPTO 3 DO 1').error.details,
+        "'FOR' start must be a number, got string"
+    );
+    assert.equal(
+        execute('FOR i = 0 UPTO [3] DO 1').error.details,
+        "'FOR' end must be a number, got list"
+    );
+    assert.equal(
+        execute('FOR i = 0 UPTO 3 STEP NULL DO 1').error.details,
+        "'FOR' step must be a number, got null"
+    );
+});
+
+test('a zero FOR step is an error instead of an endless loop', () => {
+    const { error } = execute('FOR i = 0 UPTO 3 STEP 0 DO 1');
+    assert.equal(error.name, 'Runtime Error');
+    assert.equal(error.details, "'FOR' step must not be zero");
+    assert.equal(
+        execute('FOR i = 0 UPTO 3 STEP 0.0 DO 1').error.details,
+        "'FOR' step must not be zero"
+    );
+});
+
+test('a descending FOR loop with a bad step fails cleanly', () => {
+    assert.equal(
+        execute('FOR i = 5 UPTO 0 STEP "a" DO 1').error.details,
+        "'FOR' step must be a number, got string"
+    );
+});
+
+test('FOR loops step across the BigInt boundary', () => {
+    const { output } = execute(
+        'FOR i = 2 ^ 53 - 1 UPTO 2 ^ 53 + 2 DO PRINT(i)'
+    );
+    assert.deepEqual(output, [
+        '9007199254740991',
+        '9007199254740992',
+        '9007199254740993',
+    ]);
+});
@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { setLoader } from '../src/pop.js';
+import { execute } from './support.js';
+
+const overflowing = [
+    'FUN chain(n)',
+    '    YIELD IF n == 0 DO 0 ELSE NEXT(chain(n - 1))',
+    'END',
+    'NEXT(chain(100000))',
+].join('\n');
+
+test('a module that fails with a JS exception can be imported again', () => {
+    let attempts = 0;
+    setLoader({
+        resolve: (path) => path,
+        load: () => (attempts++ === 0 ? overflowing : 'VAR answer = 42'),
+    });
+
+    const first = execute('IMPORT "flaky.pop"');
+    assert.equal(first.error.details, 'Maximum recursion depth exceeded');
+
+    const second = execute('IMPORT "flaky.pop"\nanswer');
+    assert.equal(second.error, null);
+    assert.equal(second.value, '42');
+});
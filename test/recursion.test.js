@@ -0,0 +1,23 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { execute } from './support.js';
+
+const countdown = 'FUN down(n) -> IF n == 0 DO 0 ELSE 1 + down(n - 1)\n';
+
+test('moderate recursion still works', () => {
+    assert.equal(execute(`${countdown}down(300)`).value, '300');
+});
+
+test('runaway recursion is a runtime error', () => {
+    const { error } = execute(`${countdown}down(100000)`);
+    assert.equal(error.name, 'Runtime Error');
+    assert.equal(error.details, 'Maximum recursion depth exceeded');
+});
+
+test('the recursion error can be caught', () => {
+    const { output } = execute(
+        `${countdown}TRY\n    down(100000)\nCATCH e DO\n    PRINT(e.details)\nEND\nPRINT(down(10))`
+    );
+    assert.deepEqual(output, ['Maximum recursion depth exceeded', '10']);
+});
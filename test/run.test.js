@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { createGlobals, run } from '../src/pop.js';
+import { execute } from './support.js';
+
+test('a program with constants can be run again', () => {
+    const program = 'CONST q = 1\nq + 1';
+    assert.equal(execute(program).value, '2');
+    assert.equal(execute(program).error, null);
+    assert.equal(execute(program).value, '2');
+});
+
+test('definitions do not leak from one run into the next', () => {
+    execute('VAR leaked = 1');
+    assert.match(execute('leaked').error.details, /'leaked' is not defined/);
+});
+
+test('runs sharing globals keep their definitions', () => {
+    const globals = createGlobals();
+    run('<stdin>', 'CONST kept = 2', globals);
+    assert.equal(`${run('<stdin>', 'kept * 3', globals)[0].elements[0]}`, '6');
+    assert.match(
+        run('<stdin>', 'kept = 4', globals)[1].details,
+        /Cannot reassign constant 'kept'/
+    );
+});
+
+test('reassigning a builtin does not leak into other runs', () => {
+    assert.equal(execute('PRINT = 1\nPRINT').value, '1');
+    assert.deepEqual(execute('PRINT("x")').output, ['x']);
+
+    const globals = createGlobals();
+    run('<stdin>', 'FUN f() -> LEN = 2\nf()', globals);
+    assert.equal(`${run('<stdin>', 'LEN', globals)[0].elements[0]}`, '2');
+    assert.equal(execute('LEN("abc")').value, '3');
+});
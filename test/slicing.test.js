@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { execute } from './support.js';
+
+const value = (text) => execute(text).value;
+const list = 'VAR xs = [0, 1, 2, 3, 4, 5]\n';
+
+test('list slices select a range of elements', () => {
+    assert.equal(value(`${list}xs[1:4]`), '[1, 2, 3]');
+    assert.equal(value(`${list}xs[:2]`), '[0, 1]');
+    assert.equal(value(`${list}xs[3:]`), '[3, 4, 5]');
+    assert.equal(value(`${list}xs[:]`), '[0, 1, 2, 3, 4, 5]');
+});
+
+test('slices can step, including backwards', () => {
+    assert.equal(value(`${list}xs[::2]`), '[0, 2, 4]');
+    assert.equal(value(`${list}xs[1::2]`), '[1, 3, 5]');
+    assert.equal(value(`${list}xs[::-1]`), '[5, 4, 3, 2, 1, 0]');
+    assert.equal(value(`${list}xs[4:1:-1]`), '[4, 3, 2]');
+});
+
+test('negative indices count from the end', () => {
+    assert.equal(value(`${list}xs[-1]`), '5');
+    assert.equal(value(`${list}xs[-2:]`), '[4, 5]');
+    assert.equal(value(`${list}xs[:-2]`), '[0, 1, 2, 3]');
+    assert.equal(value(`${list}xs[-1] = 50\nxs`), '[0, 1, 2, 3, 4, 50]');
+    assert.equal(value(`${list}xs[-1] += 1\nxs[5]`), '6');
+});
+
+test('out of range slice bounds are clamped', () => {
+    assert.equal(value(`${list}xs[100:]`), '[]');
+    assert.equal(value(`${list}xs[-100:2]`), '[0, 1]');
+    assert.equal(value(`${list}xs[2 ^ 70:]`), '[]');
+    assert.equal(value(`${list}xs[NULL:2]`), '[0, 1]');
+});
+
+test('slicing returns a new list', () => {
+    assert.equal(value(`${list}VAR ys = xs[:]\nys[0] = 99\nxs[0]`), '0');
+});
+
+test('strings index and slice by character', () => {
+    const text = 'VAR s = "hello world"\n';
+    assert.equal(value(`${text}s[0]`), 'h');
+    assert.equal(value(`${text}s[-1]`), 'd');
+    assert.equal(value(`${text}s[:5]`), 'hello');
+    assert.equal(value(`${text}s[::-1]`), 'dlrow olleh');
+    assert.equal(value(`${text}s[6:100]`), 'world');
+});
+
+test('ranges slice into ranges', () => {
+    assert.equal(value('RANGE(10)[2:8:2]'), 'RANGE(2, 8, 2)');
+    assert.equal(value('RANGE(5)[::-1]'), 'RANGE(4, -1, -1)');
+    assert.equal(value('RANGE(0, 10, 3)[-1]'), '9');
+});
+
+test('a zero slice step is a runtime error', () => {
+    const { error } = execute(`${list}xs[::0]`);
+    assert.equal(error.name, 'Runtime Error');
+    assert.equal(error.details, 'Slice step cannot be zero');
+});
+
+test('bad indices and slices report errors', () => {
+    const details = (text) => execute(text).error.details;
+    assert.equal(
+        details(`${list}xs[1.5:]`),
+        'Slice indices must be integers or NULL'
+    );
+    assert.equal(details(`${list}xs[-7]`), 'List index out of range');
+    assert.equal(details('"abc"[20]'), 'String index out of range');
+    assert.equal(details('"abc"["a"]'), 'String indices must be integers');
+    assert.equal(
+        details(`${list}xs[1:2] = 3`),
+        'List indices must be integers'
+    );
+    assert.equal(details(`${list}xs[1:2:3:4]`), "Expected ']'");
+});
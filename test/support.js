@@ -0,0 +1,14 @@
+import { run, setOutput } from '../src/pop.js';
+
+// Runs a program, returning what it printed, the value of its last statement
+// as a string and the error it stopped with, if any.
+export const execute = (text) => {
+    let output = [];
+    setOutput((line) => output.push(line));
+    const [res, error] = run('<test>', text);
+    return {
+        output,
+        value: res === null ? null : `${res.elements.at(-1)}`,
+        error: error ?? null,
+    };
+};
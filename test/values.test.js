@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+
+import { execute } from './support.js';
+
+test('strings repeat by an integer count', () => {
+    assert.equal(execute('"ab" * 3').value, 'ababab');
+    assert.equal(execute('"ab" * 0').value, '');
+    assert.equal(execute('"ab" * -2').value, '');
+});
+
+test('repeating a string too far is a runtime error', () => {
+    const { error } = execute('"ab" * 1000000000000');
+    assert.equal(error.name, 'Runtime Error');
+    assert.equal(error.details, 'Repeated string is too long');
+});
+
+test('big integer repeat counts are errors, not crashes', () => {
+    assert.equal(
+        execute('"ab" * (2 ^ 60)').error.details,
+        'Repeated string is too long'
+    );
+    assert.equal(
+        execute('[1, 2] * (2 ^ 60)').error.details,
+        'Repeated list is too long'
+    );
+    assert.equal(execute('[1] * 1000000000000').error.name, 'Runtime Error');
+});
+
+test('empty sequences repeat any number of times', () => {
+    assert.equal(execute('"" * (2 ^ 60)').value, '');
+    assert.equal(execute('[] * (2 ^ 60)').value, '[]');
+    assert.equal(execute('[1, 2] * 2').value, '[1, 2, 1, 2]');
+    assert.equal(execute('[1] * -(2 ^ 60)').value, '[]');
+});
+
+test('lists stop repeating well below the engine array limit', () => {
+    const { error } = execute('[0] * 200000000');
+    assert.equal(error.name, 'Runtime Error');
+    assert.equal(error.details, 'Repeated list is too long');
+    assert.equal(
+        execute('[0, 0] * 20000000').error.details,
+        'Repeated list is too long'
+    );
+});
+
+test('long lists can still be repeated', () => {
+    assert.equal(
+        execute('VAR big = [0] * 300000\nLEN(big * 2)').value,
+        '600000'
+    );
+});
+
+test('unary minus negates numbers', () => {
+    assert.equal(execute('-5').value, '-5');
+    assert.equal(execute('-2.0').value, '-2.0');
+    assert.equal(execute('--3').value, '3');
+    assert.equal(execute('-(2 ^ 60)').value, '-1152921504606846976');
+    assert.equal(execute('-(-(2 ^ 53))').value, '9007199254740992');
+});
+
+test('unary minus rejects values that are not numbers', () => {
+    for (const text of ['-"abc"', '-[1, 2]', '-TRUE', '-NULL'])
+        assert.equal(execute(text).error.details, 'Illegal operation', text);
+});